@@ -0,0 +1,250 @@
+/**
+ * <circular-nav> custom element
+ * Creates an instance when connected and destroys it when removed:
+ *
+ *   <circular-nav post-type="page" layout="sunburst"
+ *       config='{"minimap": {"enabled": false}}'></circular-nav>
+ *
+ * `config` takes the same JSON as data-config; the other attributes set
+ * single config values and win over it. Changing layout, auto-zoom or
+ * rotate-selection updates the running instance; any other attribute
+ * change recreates it. Public events are re-dispatched on
+ * the element as `circular-nav-element:${type}`, e.g.
+ * 'circular-nav-element:selection:change', so listeners don't need the
+ * instance ID. The prefix keeps them apart from the circular-nav:error and
+ * circular-nav:init-error events CircularNavigation dispatches itself.
+ */
+
+import { CircularNavigation } from './index.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { EVENTS } from './events.js';
+import { getPath, setPath } from '../utils/objects.js';
+
+// Prefix of events dispatched on the element
+const EVENT_PREFIX = 'circular-nav-element';
+
+// Attributes reflected to config paths; live ones apply through update(),
+// the rest are read once when the instance is created
+const ATTRIBUTE_CONFIG = {
+    'layout': { path: 'layout.mode', type: 'string', live: true },
+    'renderer': { path: 'renderer.type', type: 'string' },
+    'data-provider': { path: 'data.provider', type: 'string' },
+    'data-url': { path: 'data.url', type: 'string' },
+    'settings': { path: 'settings.enabled', type: 'boolean' },
+    'minimap': { path: 'minimap.enabled', type: 'boolean' },
+    'auto-zoom': { path: 'focus.autoZoom', type: 'boolean', live: true },
+    'rotate-selection': { path: 'focus.rotate', type: 'boolean', live: true }
+};
+
+export class CircularNavElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['post-type', 'config', ...Object.keys(ATTRIBUTE_CONFIG)];
+    }
+
+    constructor() {
+        super();
+        this.instance = null;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Lifecycle callbacks
+     * @private
+     */
+    connectedCallback() {
+        if (!this.id) {
+            this.id = `circular-nav-${Math.random().toString(36).substr(2, 9)}`;
+        }
+        this.classList.add('circular-navigation-container');
+        this.queue(() => this.createInstance());
+    }
+
+    disconnectedCallback() {
+        // Moving the element disconnects and reconnects it in one task
+        queueMicrotask(() => {
+            if (!this.isConnected) {
+                this.queue(() => this.destroyInstance());
+            }
+        });
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.instance || oldValue === value) return;
+
+        // Renderer, provider and the optional managers are built once, and
+        // update() can't remove keys dropped from the config JSON
+        const reflected = ATTRIBUTE_CONFIG[name];
+        if (!reflected?.live) {
+            this.queue(async () => {
+                await this.destroyInstance();
+                await this.createInstance();
+            });
+            return;
+        }
+
+        // A removed attribute falls back to the config JSON, then the default
+        const config = this.buildConfig();
+        if (getPath(config, reflected.path) === undefined) {
+            setPath(config, reflected.path, getPath(DEFAULT_CONFIG, reflected.path));
+        }
+        this.queue(() => this.instance?.update(null, config));
+    }
+
+    /**
+     * Runs lifecycle work in order
+     * @private
+     */
+    queue(task) {
+        this.pending = this.pending
+            .then(task)
+            .catch(error => console.error(`[CircularNav] <circular-nav> ${this.id}:`, error));
+        return this.pending;
+    }
+
+    /**
+     * Creates the instance from the element's attributes
+     * @private
+     */
+    async createInstance() {
+        if (this.instance || !this.isConnected) return;
+
+        const postType = this.getAttribute('post-type');
+        if (!postType) {
+            console.error(`[CircularNav] <circular-nav> ${this.id} needs a post-type attribute`);
+            return;
+        }
+
+        this.instance = CircularNavigation.createInstance(this.id, postType, this.buildConfig());
+
+        // Re-dispatch public events under a fixed prefix
+        Object.values(EVENTS).forEach(type => {
+            this.instance.on(type, detail => {
+                this.dispatchEvent(new CustomEvent(`${EVENT_PREFIX}:${type}`, {
+                    detail,
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+        });
+
+        await this.instance.init();
+    }
+
+    /**
+     * Destroys the instance
+     * @private
+     */
+    async destroyInstance() {
+        if (!this.instance) return;
+
+        this.instance = null;
+        await CircularNavigation.destroyInstance(this.id);
+    }
+
+    /**
+     * Builds config from the config attribute and reflected attributes
+     * @private
+     */
+    buildConfig() {
+        const config = this.parseConfig();
+        Object.keys(ATTRIBUTE_CONFIG).forEach(name => {
+            const value = this.readAttribute(name);
+            if (value !== undefined) {
+                setPath(config, ATTRIBUTE_CONFIG[name].path, value);
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Parses the config attribute
+     * @private
+     */
+    parseConfig() {
+        try {
+            return JSON.parse(this.getAttribute('config') || '{}');
+        } catch (error) {
+            console.error(`[CircularNav] <circular-nav> ${this.id} has invalid config JSON:`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Reads a reflected attribute's config value
+     * @private
+     * @param {string} name - Attribute name
+     * @returns {*} Value, or undefined when the attribute is absent
+     */
+    readAttribute(name) {
+        const attribute = this.getAttribute(name);
+        if (attribute === null) return undefined;
+
+        // Boolean attributes are on when present, unless set to "false"
+        return ATTRIBUTE_CONFIG[name].type === 'boolean' ? attribute !== 'false' : attribute;
+    }
+
+    /**
+     * Gets the instance, failing when the element is not connected
+     * @private
+     */
+    async getInstance() {
+        await this.pending;
+        if (!this.instance) {
+            throw new Error(`<circular-nav> ${this.id} has no instance; is it connected?`);
+        }
+        return this.instance;
+    }
+
+    /**
+     * Public API, see CircularNavManager
+     */
+    async whenReady() {
+        return (await this.getInstance()).whenReady();
+    }
+
+    async select(id) {
+        return (await this.getInstance()).select(id);
+    }
+
+    async clearSelection() {
+        return (await this.getInstance()).clearSelection();
+    }
+
+    async zoomTo(id, options) {
+        return (await this.getInstance()).zoomTo(id, options);
+    }
+
+    async setData(data) {
+        return (await this.getInstance()).setData(data);
+    }
+
+    async refresh() {
+        return (await this.getInstance()).refresh();
+    }
+
+    getPath(id) {
+        return this.instance ? this.instance.getPath(id) : [];
+    }
+
+    async update(config) {
+        return (await this.getInstance()).update(null, config);
+    }
+
+    async exportSVG(options) {
+        return (await this.getInstance()).exportSVG(options);
+    }
+
+    async exportPNG(options) {
+        return (await this.getInstance()).exportPNG(options);
+    }
+
+    async downloadExport(format, options) {
+        return (await this.getInstance()).downloadExport(format, options);
+    }
+}
+
+// Defined here rather than in index.js so either module can be the entry;
+// index.js is only used once an element connects, after both have loaded
+if (window.customElements && !window.customElements.get('circular-nav')) {
+    window.customElements.define('circular-nav', CircularNavElement);
+}
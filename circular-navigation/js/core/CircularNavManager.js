@@ -6,14 +6,25 @@ import * as d3 from '../lib/d3.min.js';
 import { StateManager } from '../state/StateManager.js';
 import { DisplayManager } from '../state/DisplayManager.js';
 import { CacheManager } from '../state/CacheManager.js';
+import { HistoryManager } from '../state/HistoryManager.js';
+import { SettingsStore } from '../state/SettingsStore.js';
 import { VisualizationManager } from '../visualization/VisualizationManager.js';
 import { NodeManager } from '../visualization/NodeManager.js';
 import { PathManager } from '../visualization/PathManager.js';
 import { OuterElementManager } from '../visualization/OuterElementManager.js';
 import { ZoomManager } from '../visualization/ZoomManager.js';
+import { KeyboardManager } from '../visualization/KeyboardManager.js';
+import { SunburstManager } from '../visualization/SunburstManager.js';
+import { CanvasRenderer } from '../visualization/CanvasRenderer.js';
+import { ExportManager } from '../visualization/ExportManager.js';
 import { SettingsPanel } from '../ui/SettingsPanel.js';
 import { Controls } from '../ui/Controls.js';
-import { DEFAULT_CONFIG, validateConfig } from './config.js';
+import { Breadcrumbs } from '../ui/Breadcrumbs.js';
+import { ContentPanel } from '../ui/ContentPanel.js';
+import { TreeView } from '../ui/TreeView.js';
+import { validateConfig } from './config.js';
+import { assertEventType } from './events.js';
+import { deepMerge } from '../utils/objects.js';
 import { performance } from '../utils/performance.js';
 
 export class CircularNavManager {
@@ -35,13 +46,11 @@ export class CircularNavManager {
         // Core properties
         this.id = containerId;
         this.postType = postType;
-        this.config = validateConfig({
-                ...DEFAULT_CONFIG,
-                ...config
-            }) ? {
-                ...DEFAULT_CONFIG,
-                ...config
-            } : DEFAULT_CONFIG;
+
+        // Layer published and locally saved settings over the defaults
+        this.settingsStore = new SettingsStore(this);
+        this.config = this.settingsStore.resolveConfig(config);
+        this.configErrors = validateConfig(this.config);
         this.eventNamespace = config.eventNamespace || containerId;
 
         // Error state
@@ -49,8 +58,13 @@ export class CircularNavManager {
         this.lastError = null;
 
         this._pendingOperations = new Set();
+
+        // Listeners added through on(), by type then handler
         this.eventHandlers = new Map();
 
+        // Settles when init() finishes so API calls can wait for data
+        this.createReadyPromise();
+
         // Initialize managers
         try {
             this.initializeManagers();
@@ -76,17 +90,25 @@ export class CircularNavManager {
         this.state = new StateManager(this);
         this.display = new DisplayManager(this);
         this.cache = new CacheManager(this);
+        this.history = new HistoryManager(this);
 
         // Visualization managers
         this.viz = new VisualizationManager(this);
         this.nodes = new NodeManager(this);
         this.paths = new PathManager(this);
         this.outer = new OuterElementManager(this);
+        this.sunburst = new SunburstManager(this);
+        this.canvas = new CanvasRenderer(this);
         this.zoom = new ZoomManager(this);
+        this.keyboard = new KeyboardManager(this);
+        this.exporter = new ExportManager(this);
 
         // UI managers
         this.settings = new SettingsPanel(this);
         this.controls = new Controls(this);
+        this.breadcrumbs = new Breadcrumbs(this);
+        this.content = new ContentPanel(this);
+        this.tree = new TreeView(this);
     }
 
     /**
@@ -98,6 +120,15 @@ export class CircularNavManager {
         try {
             // Start initialization
             this.container.classList.add('is-initializing');
+
+            // A retry after a failed init gets a fresh promise
+            if (this.initFailed) {
+                this.initFailed = false;
+                this.createReadyPromise();
+            }
+
+            // Reported here so listeners added after construction see them
+            this.reportConfigErrors(this.configErrors);
             
             await this.state.initialize();
             console.log(`[CircularNav] State initialized`);
@@ -116,11 +147,17 @@ export class CircularNavManager {
             console.log(`[CircularNav] Settings created`);
             this.controls.create();
             console.log(`[CircularNav] Controls created`);
+            this.breadcrumbs.create();
+            this.content.create();
+            this.tree.create();
 
             // Setup event listeners
             this.setupEventListeners();
             console.log(`[CircularNav] Event Listeners set up`);
 
+            // Restore selection from the URL
+            await this.history.init();
+
             // Set initialized state
             await this.state.updateState({ isInitialized: true });
             console.log(`[CircularNav] State Updated`);
@@ -131,16 +168,46 @@ export class CircularNavManager {
             
             // Emit initialization success event
             this.emitEvent('init:complete');
+            this.resolveReady();
             
             console.log(`[CircularNav] Initialization complete for ${this.id}`);
 
         } catch (error) {
              console.error(`[CircularNav] Initialization failed:`, error);
             this.handleError(error);
+            this.initFailed = true;
+            this.rejectReady(error);
             throw error;
         }
     }
 
+    /**
+     * Creates the promise returned by whenReady
+     * @private
+     */
+    createReadyPromise() {
+        this.readyPromise = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        // Callers see the failure through whenReady, not as unhandled
+        this.readyPromise.catch(() => {});
+    }
+
+    /**
+     * Logs invalid config values and emits config:error
+     * @private
+     * @param {Array} errors - Errors from validateConfig
+     */
+    reportConfigErrors(errors) {
+        if (!errors?.length) return;
+
+        errors.forEach(error => {
+            console.warn(`[CircularNav] Invalid config for ${this.id}: ${error.message}`);
+        });
+        this.emitEvent('config:error', { errors });
+    }
+
     /**
      * Emits a namespaced event
      * @private
@@ -171,7 +238,7 @@ export class CircularNavManager {
         window.addEventListener('unhandledrejection', this.handlePromiseError.bind(this));
 
         // State change handlers with namespaced events
-        this.state.on('selectionChange', this.handleSelectionChange.bind(this));
+        this.state.on('selectedNodeChange', this.handleSelectionChange.bind(this));
         this.state.on('dataChange', this.handleDataChange.bind(this));
     }
 
@@ -204,7 +271,21 @@ export class CircularNavManager {
      */
     handleNodeClick(event) {
         const node = event.detail.node;
-        if (!node || this.state.isTransitioning) return;
+        if (!node || this.state.isTransitioning()) return;
+
+        const drillDown = this.config.drillDown?.enabled !== false;
+
+        // Central node goes back up when the wheel is re-rooted
+        if (drillDown && node.depth === 0 && this.state.canGoUp()) {
+            this.state.rerootUp();
+            return;
+        }
+
+        // Outer items with their own children re-root the wheel
+        if (drillDown && node.depth === 2 && node.children?.length) {
+            this.state.rerootTo(node.data.id);
+            return;
+        }
 
         this.state.updateState({ 
             selectedNode: node,
@@ -212,6 +293,25 @@ export class CircularNavManager {
         });
     }
 
+    /**
+     * Re-emits selection changes on the container
+     * @private
+     */
+    handleSelectionChange({ newValue, oldValue }) {
+        this.emitEvent('selection:change', {
+            node: newValue,
+            previousNode: oldValue
+        });
+    }
+
+    /**
+     * Re-emits data changes on the container
+     * @private
+     */
+    handleDataChange({ newValue }) {
+        this.emitEvent('data:change', { data: newValue });
+    }
+
     /**
      * Handles resize events
      * @private
@@ -285,6 +385,34 @@ export class CircularNavManager {
         }
     }
 
+    /**
+     * Retries data loading after a recoverable error
+     * @private
+     */
+    async retryFailedOperation() {
+        if (!this.state || this.state.isDestroying) return;
+
+        const maxRetries = this.config.data?.maxRetries ?? 0;
+        if (this.state.retryCount >= maxRetries) {
+            console.warn(`[${this.id}] Giving up after ${this.state.retryCount} retries`);
+            return;
+        }
+        this.state.retryCount++;
+
+        try {
+            if (this.state.state.isInitialized) {
+                await this.state.refreshData();
+                await this.viz.update(this.state.getData(), this.display.calculateDimensions());
+            } else {
+                await this.init();
+            }
+            this.hasError = false;
+            this.container.classList.remove('has-error');
+        } catch (error) {
+            console.error(`[${this.id}] Retry ${this.state.retryCount} failed:`, error);
+        }
+    }
+
     /**
      * Updates the visualization
      * @param {Object} [data] - New data
@@ -296,12 +424,28 @@ export class CircularNavManager {
             // Update state first
             await this.state.startUpdate();
 
-            // Update config if provided
+            // Update config if provided; merged in place so managers
+            // holding this.config see the change, bad values keep their
+            // current setting
+            const previousMode = this.config.layout?.mode;
+            if (config && config !== this.config) {
+                const merged = deepMerge({}, this.config, config);
+                this.reportConfigErrors(validateConfig(merged, this.config));
+                Object.assign(this.config, merged);
+            } else if (config) {
+                this.reportConfigErrors(validateConfig(this.config));
+            }
+
+            // New breakpoints or profiles may apply to the current size
             if (config) {
-                this.config = validateConfig({
-                    ...this.config,
-                    ...config
-                }) ? {...this.config, ...config} : this.config;
+                this.display.updateProfile();
+            }
+
+            // Switching layout rebuilds the wheel rather than updating it
+            const mode = this.config.layout?.mode;
+            if (config && mode !== previousMode && this.viz.zoomContainer) {
+                this.config.layout.mode = previousMode;
+                await this.viz.setLayoutMode(mode);
             }
 
             // Update data if provided
@@ -321,6 +465,177 @@ export class CircularNavManager {
         }
     }
 
+    /**
+     * Waits for the instance to finish initializing
+     * @returns {Promise<void>} Rejects if initialization failed
+     */
+    whenReady() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Selects an item, re-rooting the wheel if it isn't rendered
+     * @param {string|number} id - Item ID
+     * @returns {Promise<Object|null>} Selected item, or null if not found;
+     *     resolves once the selection has rendered
+     */
+    async select(id) {
+        await this.whenReady();
+        const node = await this.state.selectById(id);
+        return node ? node.data : null;
+    }
+
+    /**
+     * Clears the selection
+     * @returns {Promise<void>} Resolves once the wheel has updated
+     */
+    async clearSelection() {
+        await this.whenReady();
+        if (!this.state.getSelectedNode()) return;
+        await this.state.updateState({ selectedNode: null });
+    }
+
+    /**
+     * Zooms to fit an item and its children, or resets the zoom
+     * @param {string|number|null} id - Item ID, or null to reset
+     * @param {Object} [options] - { padding, duration }
+     * @returns {Promise<boolean>} Whether the item was found; resolves once
+     *     the zoom transition ends
+     */
+    async zoomTo(id, options = {}) {
+        await this.whenReady();
+        const {
+            padding = this.config.focus?.padding ?? 40,
+            duration = this.config.animation.duration
+        } = options;
+
+        if (id === null || id === undefined) {
+            await this.zoom.setTransform(1, [0, 0], duration);
+            return true;
+        }
+
+        const node = await this.state.revealById(id);
+        if (!node) return false;
+
+        const children = (node.children || []).filter(child => child.depth <= 2);
+        await this.zoom.zoomToFit([node, ...children], padding, duration);
+        return true;
+    }
+
+    /**
+     * Replaces the data with a new item tree
+     * @param {Object} data - Root item with id, name and children
+     * @returns {Promise<void>} Resolves once the wheel has re-rendered,
+     *     rejects for invalid data
+     */
+    async setData(data) {
+        await this.whenReady();
+        await this.replaceData(() => this.state.applyData(data));
+    }
+
+    /**
+     * Reloads data from the configured provider
+     * @returns {Promise<void>} Resolves once the wheel has re-rendered
+     */
+    async refresh() {
+        await this.whenReady();
+        await this.replaceData(() => this.state.refreshData());
+    }
+
+    /**
+     * Gets the items from the root to an item
+     * @param {string|number} id - Item ID
+     * @returns {Array} Items, root first; empty if not found
+     */
+    getPath(id) {
+        return this.state?.getPath(id).map(node => node.data) || [];
+    }
+
+    /**
+     * Adds a listener for a public event
+     * @param {string} type - Event type from EVENTS, e.g. 'selection:change'
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Removes the listener
+     * @throws {TypeError} For unknown event types
+     */
+    on(type, handler) {
+        assertEventType(type);
+
+        if (!this.eventHandlers.has(type)) {
+            this.eventHandlers.set(type, new Map());
+        }
+        const handlers = this.eventHandlers.get(type);
+        if (!handlers.has(handler)) {
+            const listener = event => handler(event.detail, event);
+            handlers.set(handler, listener);
+            this.container.addEventListener(`${this.eventNamespace}:${type}`, listener);
+        }
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Removes a listener added with on()
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.eventHandlers.get(type);
+        const listener = handlers?.get(handler);
+        if (!listener) return;
+
+        this.container.removeEventListener(`${this.eventNamespace}:${type}`, listener);
+        handlers.delete(handler);
+    }
+
+    /**
+     * Swaps in new data and keeps the selection if the item still exists
+     * @private
+     * @param {Function} load - Stores the new data in state
+     */
+    async replaceData(load) {
+        const selectedId = this.state.getSelectedNode()?.data.id;
+
+        await load();
+        await this.viz.rebuild();
+
+        // Selected node belongs to the old hierarchy
+        const node = selectedId !== undefined ?
+            await this.state.selectById(selectedId) :
+            null;
+        if (!node) {
+            await this.state.updateState({ selectedNode: null });
+        }
+    }
+
+    /**
+     * Exports the wheel as SVG markup
+     * @param {Object} [options] - { extent: 'view' | 'full', background }
+     * @returns {string} SVG document
+     */
+    exportSVG(options) {
+        return this.exporter.exportSVG(options);
+    }
+
+    /**
+     * Exports the wheel as a PNG image
+     * @param {Object} [options] - { scale, extent: 'view' | 'full', background }
+     * @returns {Promise<Blob>} PNG image
+     */
+    exportPNG(options) {
+        return this.exporter.exportPNG(options);
+    }
+
+    /**
+     * Exports the wheel and saves it as a file
+     * @param {string} format - 'svg' or 'png'
+     * @param {Object} [options] - Export options
+     * @returns {Promise<void>}
+     */
+    downloadExport(format, options) {
+        return this.exporter.download(format, options);
+    }
+
     /**
      * Destroys the instance and cleans up
      * @returns {Promise<void>}
@@ -342,12 +657,17 @@ export class CircularNavManager {
             this.removeEventListeners();
 
             // Destroy managers in sequence
+            this.history.destroy();
             await this.state.destroy();
             await this.cache.clear();
             this.display.destroy();
+            this.keyboard.destroy();
             this.viz.destroy();
             this.settings.destroy();
             this.controls.destroy();
+            this.breadcrumbs.destroy();
+            this.content.destroy();
+            this.tree.destroy();
 
             // Clean DOM
             while (this.container.firstChild) {
@@ -369,13 +689,28 @@ export class CircularNavManager {
             this.state = null;
             this.display = null;
             this.cache = null;
+            this.history = null;
             this.viz = null;
+            this.keyboard = null;
+            this.exporter = null;
+            this.settingsStore = null;
             this.settings = null;
             this.controls = null;
+            this.breadcrumbs = null;
+            this.content = null;
+            this.tree = null;
 
             // Emit destroyed event
             this.emitEvent('destroyed');
 
+            // Listeners added through on() heard destroyed, now drop them
+            this.eventHandlers.forEach((handlers, type) => {
+                handlers.forEach(listener => {
+                    this.container.removeEventListener(`${this.eventNamespace}:${type}`, listener);
+                });
+            });
+            this.eventHandlers.clear();
+
         } catch (error) {
             console.error(`[${this.id}] Destroy error:`, error);
             throw error;
@@ -2,6 +2,8 @@
  * Default configuration and profiles
  */
 
+import { validateAgainstSchema } from './schema.js';
+
 export const DEFAULT_CONFIG = {
     dimensions: {
         min: {
@@ -27,7 +29,122 @@ export const DEFAULT_CONFIG = {
         min: 0.5,
         max: 3,
         step: 0.1,
-        transitionDuration: 250
+        transitionDuration: 250,
+        // Semantic zoom: labels change with scale rather than just growing
+        lod: {
+            enabled: true,
+            labels: 0.75,         // Below this scale only indicators show
+            details: 2,           // At or above this scale excerpts and thumbnails show
+            shortLabelLength: 18  // Label length between the two thresholds
+        }
+    },
+
+    layout: {
+        // radial | sunburst
+        mode: 'radial',
+        allocation: {
+            // leaf | branch | weighted
+            strategy: 'leaf',
+            // Numeric data field summed per branch by 'weighted'
+            weightField: 'weight',
+            // Gap between primary branches in radians
+            branchGap: 0
+        }
+    },
+
+    renderer: {
+        // svg | canvas | auto (canvas above autoThreshold rendered nodes)
+        type: 'svg',
+        autoThreshold: 400
+    },
+
+    sunburst: {
+        // Central disc radius as a fraction of the wheel radius
+        centerRatio: 0.3,
+        padAngle: 0.004,
+        cornerRadius: 2,
+        // Segments narrower than this (radians) hide their label
+        minLabelAngle: 0.08,
+        maxDepth: 2
+    },
+
+    focus: {
+        // Zoom to fit the selected node and its children
+        autoZoom: false,
+        // Rotate the selected branch to a fixed angle
+        rotate: false,
+        // Target angle in degrees clockwise from the top
+        angle: 0,
+        // Space around the fitted nodes in pixels
+        padding: 40
+    },
+
+    persistence: {
+        // Remember settings panel changes in this browser, per container and post type
+        local: true,
+        remote: {
+            // Shows a publish button; enable only for users who may edit settings
+            enabled: false,
+            url: '/wp-json/my-custom-route/v1/navigation-settings/{postType}'
+        }
+    },
+
+    settings: {
+        // Set false to hide the panel, e.g. for visitors who cannot edit
+        enabled: true,
+        // Element or selector to mount the panel in, defaults to the container
+        target: null
+    },
+
+    export: {
+        enabled: true,
+        // PNG resolution multipliers offered in the controls
+        scales: [1, 2, 4],
+        // Fill behind the exported image, null for transparent
+        background: '#ffffff',
+        // Space around the full extent in pixels
+        padding: 20,
+        // Defaults to "<containerId>-<postType>"
+        filename: null
+    },
+
+    minimap: {
+        enabled: true,
+        // Width and height in pixels
+        size: 140
+    },
+
+    drillDown: {
+        // Clicking an outer item with children re-roots the wheel on it
+        enabled: true
+    },
+
+    history: {
+        enabled: true,
+        // hash | query
+        mode: 'hash',
+        // URL keys default to "<containerId>.node" etc.
+        keyPrefix: null
+    },
+
+    search: {
+        enabled: true,
+        includeExcerpts: false,
+        maxResults: 8
+    },
+
+    treeView: {
+        enabled: true,
+        // Show the list instead of the wheel initially
+        visible: false,
+        // Render a button to switch between wheel and list
+        toggle: true
+    },
+
+    breadcrumbs: {
+        enabled: true,
+        // Overrides the root name in the trail
+        rootLabel: null
     },
 
     node: {
@@ -89,6 +206,27 @@ export const DEFAULT_CONFIG = {
         thresholds: {
             longText: 11,
             wrap: 15
+        },
+        outerLabels: {
+            // box (HTML boxes) | arc (text along the outer ring)
+            mode: 'box',
+            // Distance between indicators and arc text
+            arcOffset: 12,
+            // Space kept at both ends of each sector, in radians
+            arcPadding: 0.02
+        },
+        collision: {
+            enabled: true,
+            // Keep outer labels the same size on screen while zooming
+            fixedScreenSize: true,
+            // Minimum space between labels in pixels
+            padding: 2,
+            // Labels are nudged outward in steps before being hidden
+            nudgeStep: 8,
+            maxNudge: 40,
+            maxWidth: 140,
+            // Connect nudged labels to their indicator
+            leaderLines: true
         }
     },
 
@@ -116,6 +254,11 @@ export const DEFAULT_CONFIG = {
         }
     },
 
+    // Chosen from the container's size, not the window's: the profile with the
+    // largest minWidth (then minHeight) the container meets wins. minWidth is
+    // pixels or a dimensions.breakpoints name. Add named profiles alongside
+    // these; missing fields come from the profile named in `extends`, or
+    // desktop.
     profiles: {
         mobile: {
             textSizes: {
@@ -141,6 +284,7 @@ export const DEFAULT_CONFIG = {
             }
         },
         tablet: {
+            minWidth: 'small',
             textSizes: {
                 central: 16,
                 primary: 14,
@@ -164,6 +308,7 @@ export const DEFAULT_CONFIG = {
             }
         },
         desktop: {
+            minWidth: 'medium',
             textSizes: {
                 central: 18,
                 primary: 16,
@@ -188,6 +333,24 @@ export const DEFAULT_CONFIG = {
         }
     },
 
+    data: {
+        // ajax | rest | json | inline | function, or a registered custom type
+        provider: 'ajax',
+        action: 'fetch_hierarchical_posts',
+        url: null,
+        source: null,
+        callback: null,
+        timeout: 15000,
+        maxRetries: 2
+    },
+
+    content: {
+        enabled: true,
+        // side | below | modal
+        layout: 'side',
+        placeholder: 'Select an item to view its content.'
+    },
+
     cache: {
         maxSize: 50,
         preloadDelay: 1000,
@@ -215,12 +378,14 @@ export const CSS_VARIABLES = [
     '--link-inactive'
 ];
 
-export function validateConfig(config) {
-    // Check if essential structures exist
-    if (!config.dimensions) config.dimensions = DEFAULT_CONFIG.dimensions;
-    if (!config.node) config.node = DEFAULT_CONFIG.node;
-    if (!config.text) config.text = DEFAULT_CONFIG.text;
-    if (!config.colors) config.colors = DEFAULT_CONFIG.colors;
-
-    return true;
+/**
+ * Validates a merged config against CONFIG_SCHEMA
+ * Invalid values are replaced in place by the fallback's value for the
+ * same field, so one bad option never discards its whole section.
+ * @param {Object} config - Deep merged config
+ * @param {Object} [fallback] - Config supplying replacement values
+ * @returns {Array} Errors { path, value, expected, message }
+ */
+export function validateConfig(config, fallback = DEFAULT_CONFIG) {
+    return validateAgainstSchema(config, fallback);
 }
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Public events
+ * Event types accepted by CircularNavManager.on and off. Each is dispatched
+ * on the container as `${eventNamespace}:${type}`; every detail also carries
+ * instanceId. Nodes are d3 hierarchy nodes, with the item in node.data.
+ */
+
+export const EVENTS = Object.freeze({
+    INIT_COMPLETE: 'init:complete',             // {}
+    DESTROYED: 'destroyed',                     // {}
+    ERROR: 'error',                             // { error }
+    FATAL_ERROR: 'error:fatal',                 // { error }
+    CONFIG_ERROR: 'config:error',               // { errors }
+    FETCH_ERROR: 'fetch:error',                 // { type, error, retryable }
+    VISUALIZATION_ERROR: 'visualization:error', // { error }
+    NODES_ERROR: 'nodes:error',                 // { error }
+    PATHS_ERROR: 'paths:error',                 // { error }
+    OUTER_ERROR: 'outer:error',                 // { error }
+    SUNBURST_ERROR: 'sunburst:error',           // { error }
+    CANVAS_ERROR: 'canvas:error',               // { error }
+    DATA_CHANGE: 'data:change',                 // { data }
+    DISPLAY_READY: 'display:ready',             // { dimensions, profile, name }
+    PROFILE_CHANGE: 'profile:change',           // { name, previous, profile, dimensions }
+    NODE_CLICK: 'node:click',                   // { node, type, timestamp }
+    SELECTION_CHANGE: 'selection:change',       // { node, previousNode }
+    SELECTION_RENDERED: 'selection:rendered',   // { node, previousNode }
+    ROOT_CHANGE: 'root:change',                 // { rootId, previousRootId, path }
+    FOCUS_CHANGE: 'focus:change',               // { node }
+    OUTER_HOVER: 'outer:hover',                 // { node, isEnter, timestamp }
+    SUNBURST_HOVER: 'sunburst:hover',           // { node, isEnter, timestamp }
+    SEARCH_SELECT: 'search:select',             // { node, query }
+    LAYOUT_CHANGE: 'layout:change',             // { mode }
+    VIEW_ROTATE: 'view:rotate',                 // { rotation }
+    ZOOM_LOD: 'zoom:lod',                       // { level, previous, scale }
+    CONTENT_LOADED: 'content:loaded',           // { node, version }
+    CONTENT_ERROR: 'content:error',             // { node, error }
+    EXPORT_COMPLETE: 'export:complete',         // { format, extent, scale }
+    EXPORT_ERROR: 'export:error',               // { format, error }
+    SETTINGS_SAVED: 'settings:saved',           // { scope, values }
+    SETTINGS_ERROR: 'settings:error',           // { scope, error }
+    SETTINGS_IMPORT: 'settings:import',         // { changes, invalid, ignored }
+    SETTINGS_IMPORT_ERROR: 'settings:import-error' // { error }
+});
+
+const EVENT_TYPES = new Set(Object.values(EVENTS));
+
+/**
+ * Checks that an event type is public
+ * @param {string} type - Event type, e.g. 'selection:change'
+ * @throws {TypeError} For unknown types
+ */
+export function assertEventType(type) {
+    if (!EVENT_TYPES.has(type)) {
+        throw new TypeError(`Unknown event type "${type}"`);
+    }
+}
@@ -5,13 +5,20 @@
  
 import * as d3 from '../lib/d3.min.js';
 import { CircularNavManager } from './CircularNavManager.js';
-import { DEFAULT_CONFIG } from './config.js';
+import { EVENTS } from './events.js';
+// Registers <circular-nav>; its instances are created on connect rather
+// than by the [data-circular-nav] scan below
+import { CircularNavElement } from './CircularNavElement.js';
 import { PerformanceMonitor } from '../utils/performance.js';
+import { registerProvider } from '../state/providers/index.js';
 
 export class CircularNavigation {
     static instances = new Map();
     static performanceMonitors = new Map();
 
+    // Event types accepted by instance.on() and instance.off()
+    static EVENTS = EVENTS;
+
     /**
      * Creates a new circular navigation instance
      */
@@ -28,8 +35,9 @@ export class CircularNavigation {
         CircularNavigation.performanceMonitors.set(containerId, performanceMonitor);
 
         try {
+            // Defaults are layered in by the manager so it can tell
+            // explicit options apart from saved settings
             const instance = new CircularNavManager(containerId, postType, {
-                ...DEFAULT_CONFIG,
                 ...config,
                 eventNamespace: containerId
             });
@@ -51,6 +59,8 @@ export class CircularNavigation {
 
     /**
      * Gets an existing instance
+     * The instance's public API: whenReady, select, clearSelection, zoomTo,
+     * setData, refresh, getPath, on, off, update and the export methods.
      */
     static getInstance(containerId) {
         const instanceData = CircularNavigation.instances.get(containerId);
@@ -102,6 +112,13 @@ export class CircularNavigation {
         }
     }
 
+    /**
+     * Registers a custom data provider type for use in `data.provider`
+     */
+    static registerProvider(name, ProviderClass) {
+        registerProvider(name, ProviderClass);
+    }
+
     /**
      * Gets performance metrics for an instance
      */
@@ -170,4 +187,5 @@ window.addEventListener('beforeunload', async () => {
     }
 });
 
+export { EVENTS, CircularNavElement };
 export default CircularNavigation;
\ No newline at end of file
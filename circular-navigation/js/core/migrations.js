@@ -0,0 +1,132 @@
+/**
+ * Settings file versions
+ * Reads exported settings files and migrates them to the current format
+ *
+ * Version history:
+ *   1 - { version: '1.0', timestamp, config } with the whole config object
+ *   2 - { format, version: 2, exported, postType, settings } where settings
+ *       is a flat map of config paths to values, as used by SettingsStore
+ */
+
+import { isPlainObject } from '../utils/objects.js';
+
+export const SETTINGS_FORMAT = 'circular-nav-settings';
+export const SETTINGS_VERSION = 2;
+
+export class SettingsImportError extends Error {
+    /**
+     * @param {string} message - Human readable reason
+     * @param {Object} [details] - Extra information, e.g. { version }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'SettingsImportError';
+        this.details = details;
+    }
+}
+
+/**
+ * Flattens plain objects into a path to value map
+ * @param {Object} obj - Nested object
+ * @returns {Object} Path to value map
+ */
+export function flattenPaths(obj, prefix = '', result = {}) {
+    Object.entries(obj).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value)) {
+            flattenPaths(value, path, result);
+        } else {
+            result[path] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Migrations keyed by the version they upgrade from
+ */
+const MIGRATIONS = {
+    1: file => {
+        if (!isPlainObject(file.config)) {
+            throw new SettingsImportError('Version 1 settings file has no config object');
+        }
+        return {
+            format: SETTINGS_FORMAT,
+            version: 2,
+            exported: file.timestamp || null,
+            postType: null,
+            settings: flattenPaths(file.config)
+        };
+    }
+};
+
+/**
+ * Reads the major version from a settings file
+ * @private
+ */
+function readVersion(file) {
+    const version = typeof file.version === 'string' ?
+        parseInt(file.version, 10) :
+        file.version;
+    return Number.isInteger(version) ? version : null;
+}
+
+/**
+ * Creates a settings file in the current format
+ * @param {Object} settings - Path to value map
+ * @param {Object} [meta] - Extra fields, e.g. { postType }
+ * @returns {Object} Settings file
+ */
+export function createSettingsFile(settings, meta = {}) {
+    return {
+        format: SETTINGS_FORMAT,
+        version: SETTINGS_VERSION,
+        exported: new Date().toISOString(),
+        ...meta,
+        settings
+    };
+}
+
+/**
+ * Upgrades a parsed settings file to the current format
+ * @param {Object} file - Parsed JSON
+ * @returns {Object} File in the current format
+ * @throws {SettingsImportError} For unrecognized or incompatible files
+ */
+export function migrateSettingsFile(file) {
+    if (!isPlainObject(file)) {
+        throw new SettingsImportError('The file does not contain a settings object');
+    }
+
+    const version = readVersion(file);
+    if (version === null) {
+        throw new SettingsImportError('The file has no version and is not a recognized settings export');
+    }
+    if (version > SETTINGS_VERSION) {
+        throw new SettingsImportError(
+            `The file was exported by a newer version (format ${version}); ` +
+            `this site reads formats up to ${SETTINGS_VERSION}. Update the plugin to import it.`,
+            { version }
+        );
+    }
+    if (version >= 2 && file.format !== SETTINGS_FORMAT) {
+        throw new SettingsImportError('The file is not a circular navigation settings export', { version });
+    }
+
+    let current = file;
+    for (let from = version; from < SETTINGS_VERSION; from++) {
+        const migrate = MIGRATIONS[from];
+        if (!migrate) {
+            throw new SettingsImportError(
+                `Settings format ${from} can no longer be imported`,
+                { version }
+            );
+        }
+        current = migrate(current);
+    }
+
+    if (!isPlainObject(current.settings)) {
+        throw new SettingsImportError('The file has no settings');
+    }
+    return current;
+}
@@ -0,0 +1,364 @@
+/**
+ * Config schema
+ * Types and ranges for configuration values, used by validateConfig
+ */
+
+import { isPlainObject } from '../utils/objects.js';
+
+/**
+ * Field descriptor helpers
+ * @private
+ */
+const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min = -Infinity, max = Infinity) => ({ type: 'number', integer: true, min, max });
+const boolean = () => ({ type: 'boolean' });
+const string = () => ({ type: 'string' });
+const color = () => ({ type: 'color' });
+const oneOf = (...values) => ({ type: 'enum', values });
+const nullable = field => ({ ...field, nullable: true });
+const list = items => ({ type: 'array', items });
+
+const textSizes = () => ({
+    central: integer(12, 24),
+    primary: integer(10, 20),
+    secondary: integer(8, 18)
+});
+
+const colorGroup = (...keys) => Object.fromEntries(keys.map(key => [key, color()]));
+
+export const CONFIG_SCHEMA = {
+    dimensions: {
+        min: {
+            width: number(200, 2000),
+            height: number(200, 2000)
+        },
+        aspectRatio: number(0.5, 2),
+        breakpoints: {
+            small: integer(0),
+            medium: integer(0),
+            large: integer(0)
+        }
+    },
+
+    animation: {
+        duration: number(0, 5000),
+        delayOffset: number(0, 1000),
+        minDuration: number(0, 5000),
+        maxDuration: number(0, 10000)
+    },
+
+    zoom: {
+        min: number(0.1, 1),
+        max: number(1, 20),
+        step: number(0.01, 5),
+        transitionDuration: number(0, 5000),
+        lod: {
+            enabled: boolean(),
+            labels: number(0, 20),
+            details: number(0, 20),
+            shortLabelLength: integer(0)
+        }
+    },
+
+    layout: {
+        mode: oneOf('radial', 'sunburst'),
+        allocation: {
+            strategy: oneOf('leaf', 'branch', 'weighted'),
+            weightField: string(),
+            branchGap: number(0, Math.PI)
+        }
+    },
+
+    renderer: {
+        type: oneOf('svg', 'canvas', 'auto'),
+        autoThreshold: integer(0)
+    },
+
+    sunburst: {
+        centerRatio: number(0, 0.9),
+        padAngle: number(0, 0.1),
+        cornerRadius: number(0, 50),
+        minLabelAngle: number(0, Math.PI),
+        maxDepth: integer(1, 2)
+    },
+
+    focus: {
+        autoZoom: boolean(),
+        rotate: boolean(),
+        angle: number(-360, 360),
+        padding: number(0, 500)
+    },
+
+    persistence: {
+        local: boolean(),
+        remote: {
+            enabled: boolean(),
+            url: string()
+        }
+    },
+
+    settings: {
+        enabled: boolean()
+    },
+
+    export: {
+        enabled: boolean(),
+        scales: list(number(0.25, 8)),
+        background: nullable(color()),
+        padding: number(0, 500),
+        filename: nullable(string())
+    },
+
+    minimap: {
+        enabled: boolean(),
+        size: integer(60, 400)
+    },
+
+    drillDown: {
+        enabled: boolean()
+    },
+
+    history: {
+        enabled: boolean(),
+        mode: oneOf('hash', 'query'),
+        keyPrefix: nullable(string())
+    },
+
+    search: {
+        enabled: boolean(),
+        includeExcerpts: boolean(),
+        maxResults: integer(1, 100)
+    },
+
+    treeView: {
+        enabled: boolean(),
+        visible: boolean(),
+        toggle: boolean()
+    },
+
+    breadcrumbs: {
+        enabled: boolean(),
+        rootLabel: nullable(string())
+    },
+
+    node: {
+        central: {
+            size: number(60, 200),
+            padding: number(5, 30),
+            minSize: number(0, 200)
+        },
+        primary: {
+            width: number(50, 150),
+            height: number(40, 120),
+            padding: number(5, 20),
+            minWidth: number(0, 150),
+            minHeight: number(0, 120)
+        },
+        secondary: {
+            width: number(40, 120),
+            height: number(30, 100),
+            padding: number(5, 20),
+            minWidth: number(0, 120),
+            minHeight: number(0, 100)
+        }
+    },
+
+    indicator: {
+        inner: {
+            radius: number(1, 30),
+            activeScale: number(1, 3)
+        },
+        outer: {
+            radius: number(1, 30),
+            padding: number(0, 20)
+        }
+    },
+
+    text: {
+        sizes: {
+            small: textSizes(),
+            medium: textSizes(),
+            large: textSizes()
+        },
+        spacing: {
+            base: number(20, 60),
+            side: number(10, 50),
+            min: number(0)
+        },
+        thresholds: {
+            longText: integer(1),
+            wrap: integer(1)
+        },
+        outerLabels: {
+            mode: oneOf('box', 'arc'),
+            arcOffset: number(0, 100),
+            arcPadding: number(0, 0.5)
+        },
+        collision: {
+            enabled: boolean(),
+            fixedScreenSize: boolean(),
+            padding: number(0, 50),
+            nudgeStep: number(0, 100),
+            maxNudge: number(0, 500),
+            maxWidth: number(20, 500),
+            leaderLines: boolean()
+        }
+    },
+
+    colors: {
+        node: colorGroup('default', 'hover', 'active', 'central'),
+        text: colorGroup('default', 'hover', 'active'),
+        path: colorGroup('default', 'active', 'inactive'),
+        indicator: colorGroup('default', 'active', 'hover')
+    },
+
+    data: {
+        provider: string(),
+        action: string(),
+        url: nullable(string()),
+        timeout: integer(0),
+        maxRetries: integer(0, 10)
+    },
+
+    content: {
+        enabled: boolean(),
+        layout: oneOf('side', 'below', 'modal'),
+        placeholder: string()
+    },
+
+    cache: {
+        maxSize: integer(0),
+        preloadDelay: number(0),
+        cleanupThreshold: number(0, 1)
+    },
+
+    performance: {
+        debounceDelay: number(0, 5000),
+        throttleDelay: number(0, 5000),
+        batchSize: integer(1),
+        maxTransitions: integer(1)
+    }
+};
+
+/**
+ * Checks a dot path names a value described by the schema
+ * @param {string} path - Config path, e.g. 'node.central.size'
+ * @returns {boolean} Whether the path is a known config value
+ */
+export function isSchemaPath(path) {
+    if (typeof path !== 'string') return false;
+
+    const field = path.split('.').reduce((current, key) =>
+        current && !current.type && Object.hasOwn(current, key) ? current[key] : undefined,
+        CONFIG_SCHEMA
+    );
+    return !!field?.type;
+}
+
+/**
+ * Describes what a field accepts
+ * @private
+ */
+function describe(field) {
+    let text;
+    switch (field.type) {
+        case 'number': {
+            const kind = field.integer ? 'an integer' : 'a number';
+            const hasMin = field.min > -Infinity;
+            const hasMax = field.max < Infinity;
+            text = hasMin && hasMax ? `${kind} between ${field.min} and ${field.max}` :
+                hasMin ? `${kind} of at least ${field.min}` :
+                hasMax ? `${kind} of at most ${field.max}` : kind;
+            break;
+        }
+        case 'enum':
+            text = `one of ${field.values.map(value => `"${value}"`).join(', ')}`;
+            break;
+        case 'color':
+            text = 'a color string';
+            break;
+        case 'array':
+            text = `a list where each item is ${describe(field.items)}`;
+            break;
+        default:
+            text = `a ${field.type}`;
+    }
+    return field.nullable ? `${text} or null` : text;
+}
+
+/**
+ * Checks one value against a field descriptor
+ * @private
+ */
+function isValid(field, value) {
+    if (value === null) return !!field.nullable;
+
+    switch (field.type) {
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) &&
+                (!field.integer || Number.isInteger(value)) &&
+                value >= field.min && value <= field.max;
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'string':
+            return typeof value === 'string';
+        case 'color':
+            return typeof value === 'string' && value.trim() !== '';
+        case 'enum':
+            return field.values.includes(value);
+        case 'array':
+            return Array.isArray(value) && value.every(item => isValid(field.items, item));
+        default:
+            return true;
+    }
+}
+
+/**
+ * Validates config against the schema, falling back per field
+ * Invalid values are replaced by their fallback; sections and keys the
+ * schema does not describe pass through unchanged.
+ * @param {Object} config - Merged config, modified in place
+ * @param {Object} fallback - Config supplying replacement values
+ * @param {Object} [schema] - Schema to check against
+ * @returns {Array} Errors { path, value, expected, message }
+ */
+export function validateAgainstSchema(config, fallback, schema = CONFIG_SCHEMA, path = '') {
+    const errors = [];
+
+    Object.entries(schema).forEach(([key, field]) => {
+        const currentPath = path ? `${path}.${key}` : key;
+        const value = config[key];
+        const fallbackValue = fallback?.[key];
+
+        // Nested section
+        if (!field.type) {
+            if (value === undefined) return;
+            if (!isPlainObject(value)) {
+                errors.push({
+                    path: currentPath,
+                    value,
+                    expected: 'an object',
+                    message: `${currentPath} must be an object, got ${JSON.stringify(value)}`
+                });
+                config[key] = fallbackValue;
+                return;
+            }
+            errors.push(...validateAgainstSchema(value, fallbackValue, field, currentPath));
+            return;
+        }
+
+        if (value === undefined || isValid(field, value)) return;
+
+        const expected = describe(field);
+        errors.push({
+            path: currentPath,
+            value,
+            expected,
+            message: `${currentPath} must be ${expected}, got ${JSON.stringify(value)}; ` +
+                `using ${JSON.stringify(fallbackValue)}`
+        });
+        config[key] = fallbackValue;
+    });
+
+    return errors;
+}
@@ -103,7 +103,8 @@ export class CacheManager {
         
         // Add to preload queue
         idArray.forEach(id => {
-            if (!this.cache.has(id) && !this.preloadQueue.has(id)) {
+            if (!this.cache.has(id) && !this.loadingPromises.has(id) &&
+                !this.preloadQueue.has(id)) {
                 this.preloadQueue.add(id);
             }
         });
@@ -125,22 +126,34 @@ export class CacheManager {
 
         try {
             // Get next batch from queue
-            const batch = this.getBatch();
+            let batch = this.getBatch();
 
             // Load in parallel with delay between batches
             while (batch.size > 0) {
                 const promises = Array.from(batch).map(async id => {
+                    // get() may have started or finished this one meanwhile
+                    if (this.cache.has(id) || this.loadingPromises.has(id)) {
+                        this.preloadQueue.delete(id);
+                        return;
+                    }
+
+                    // Registered so get() reuses the request instead of fetching again
+                    const promise = this.fetchContent(id);
+                    this.loadingPromises.set(id, promise);
+
                     try {
-                        const content = await this.fetchContent(id);
+                        const content = await promise;
                         this.set(id, content);
                     } catch (error) {
                         console.warn(`Failed to preload content ${id}:`, error);
                     } finally {
+                        this.loadingPromises.delete(id);
                         this.preloadQueue.delete(id);
                     }
                 });
 
                 await Promise.all(promises);
+                batch = this.getBatch();
 
                 // Delay between batches
                 if (this.preloadQueue.size > 0) {
@@ -5,12 +5,18 @@
 
 import { performance } from '../utils/performance.js';
 import { calculateTextWidth } from '../utils/calculations.js';
+import { deepMerge } from '../utils/objects.js';
+
+// Profile used to fill in fields a custom profile leaves out
+const BASE_PROFILE = 'desktop';
 
 export class DisplayManager {
     constructor(parent) {
         this.parent = parent;
         this.config = parent.config;
         this.currentProfile = null;
+        this.profileName = null;
+        this.containerSize = null;
         this.lastDimensions = null;
         
         // Bind methods
@@ -27,6 +33,7 @@ export class DisplayManager {
         try {
             // Get initial profile and dimensions
             this.currentProfile = this.getActiveProfile();
+            this.profileName = this.currentProfile.name;
             this.lastDimensions = this.calculateDimensions();
 
             // Setup resize observer
@@ -44,7 +51,8 @@ export class DisplayManager {
             // Emit setup complete event
             this.parent.emitEvent('display:ready', {
                 dimensions: this.lastDimensions,
-                profile: this.currentProfile
+                profile: this.currentProfile,
+                name: this.profileName
             });
 
         } catch (error) {
@@ -59,11 +67,11 @@ export class DisplayManager {
      */
     setupResizeObserver() {
         this.resizeObserver = new ResizeObserver(entries => {
-            if (this.isResizing) return;
-
             for (const entry of entries) {
                 const { width, height } = entry.contentRect;
-                if (this.hasSignificantChanges({ width, height })) {
+                // Recorded even mid-resize so getActiveProfile never reads a stale size
+                this.containerSize = { width, height };
+                if (!this.isResizing && this.hasSignificantChanges({ width, height })) {
                     this.handleResize();
                 }
             }
@@ -119,6 +127,16 @@ export class DisplayManager {
             this.parent.container.classList.add('size-large');
         }
 
+        // Profile class, e.g. profile-mobile or profile-sidebar
+        this.parent.container.classList.forEach(className => {
+            if (className.startsWith('profile-') && className !== `profile-${this.profileName}`) {
+                this.parent.container.classList.remove(className);
+            }
+        });
+        if (this.profileName) {
+            this.parent.container.classList.add(`profile-${this.profileName}`);
+        }
+
         // Add high-DPI class if needed
         this.parent.container.classList.toggle('high-dpi', this.pixelRatio > 1);
     }
@@ -147,16 +165,80 @@ export class DisplayManager {
     }
 
     /**
-     * Get active profile based on current size
-     * @returns {Object} Active profile
+     * Get active profile based on the container's size
+     * @param {Object} [size] - { width, height }, defaults to the container's
+     * @returns {Object} Active profile, with its name
      */
-    getActiveProfile() {
-        const width = window.innerWidth;
-        const { small, medium } = this.config.dimensions.breakpoints;
+    getActiveProfile(size = this.getContainerSize()) {
+        const profiles = this.config.profiles;
+        let name = BASE_PROFILE;
+        let best = null;
+
+        Object.entries(profiles).forEach(([key, profile]) => {
+            const minWidth = this.resolveMinWidth(profile.minWidth);
+            const minHeight = profile.minHeight || 0;
+            if (size.width < minWidth || size.height < minHeight) return;
+
+            if (!best || minWidth > best.minWidth ||
+                (minWidth === best.minWidth && minHeight > best.minHeight)) {
+                best = { minWidth, minHeight };
+                name = key;
+            }
+        });
+
+        return { ...this.resolveProfile(name), name };
+    }
 
-        if (width < small) return this.config.profiles.mobile;
-        if (width < medium) return this.config.profiles.tablet;
-        return this.config.profiles.desktop;
+    /**
+     * Resolves a profile's minWidth, which may name a breakpoint
+     * @private
+     */
+    resolveMinWidth(minWidth) {
+        if (typeof minWidth === 'string') {
+            return this.config.dimensions.breakpoints[minWidth] || 0;
+        }
+        return minWidth || 0;
+    }
+
+    /**
+     * Fills in a profile from the one it extends
+     * @private
+     */
+    resolveProfile(name, seen = new Set()) {
+        const profile = this.config.profiles[name];
+        if (!profile) return {};
+
+        const base = profile.extends || (name === BASE_PROFILE ? null : BASE_PROFILE);
+        if (!base || seen.has(base)) return profile;
+
+        seen.add(name);
+        return deepMerge({}, this.resolveProfile(base, seen), profile);
+    }
+
+    /**
+     * Gets the container's size, preferring the last observed one
+     * @private
+     */
+    getContainerSize() {
+        if (this.containerSize) return this.containerSize;
+        const { width, height } = this.parent.container.getBoundingClientRect();
+        return { width, height };
+    }
+
+    /**
+     * Switches profile if the container crossed a breakpoint
+     * @returns {boolean} Whether the profile changed
+     */
+    updateProfile() {
+        const profile = this.getActiveProfile();
+        if (profile.name === this.profileName) {
+            this.currentProfile = profile;
+            return false;
+        }
+
+        this.handleProfileChange(profile);
+        this.updateResponsiveClasses();
+        return true;
     }
 
     /**
@@ -315,12 +397,7 @@ export class DisplayManager {
             const newDimensions = this.calculateDimensions();
             
             // Check for profile change
-            const newProfile = this.getActiveProfile();
-            const profileChanged = newProfile !== this.currentProfile;
-
-            if (profileChanged) {
-                this.handleProfileChange(newProfile);
-            }
+            const profileChanged = this.updateProfile();
 
             // Update visualization if needed
             if (profileChanged || this.hasSignificantChanges(newDimensions)) {
@@ -348,6 +425,7 @@ export class DisplayManager {
 
         try {
             this.parent.container.classList.add('orientation-changing');
+            this.updateProfile();
             
             // Recalculate dimensions with orientation consideration
             const dimensions = this.calculateDimensions();
@@ -378,6 +456,7 @@ export class DisplayManager {
             
             // Update pixel ratio
             this.pixelRatio = window.devicePixelRatio || 1;
+            this.updateProfile();
             
             // Recalculate dimensions
             const dimensions = this.calculateDimensions();
@@ -401,8 +480,12 @@ export class DisplayManager {
      * @private
      */
     handleProfileChange(newProfile) {
+        const previous = this.profileName;
         this.currentProfile = newProfile;
+        this.profileName = newProfile.name;
         this.parent.emitEvent('profile:change', {
+            name: newProfile.name,
+            previous,
             profile: newProfile,
             dimensions: this.lastDimensions
         });
@@ -452,6 +535,8 @@ export class DisplayManager {
         // Clear references
         this.lastDimensions = null;
         this.currentProfile = null;
+        this.profileName = null;
+        this.containerSize = null;
         this.isResizing = false;
     }
 }
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * History Manager
+ * Syncs selection, re-rooting and zoom with the URL via the History API
+ */
+
+import { performance } from '../utils/performance.js';
+
+export class HistoryManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.isRestoring = false;
+        this.isListening = false;
+
+        // Bind methods
+        this.handleStateChange = this.handleStateChange.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleZoomUpdate = performance.debounce(
+            this.handleZoomUpdate.bind(this),
+            this.config.performance.debounceDelay
+        );
+    }
+
+    /**
+     * Gets history options
+     * @private
+     */
+    get options() {
+        return {
+            enabled: true,
+            mode: 'hash',
+            keyPrefix: null,
+            ...this.config.history
+        };
+    }
+
+    /**
+     * Restores state from the URL and starts listening for changes
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.options.enabled) return;
+
+        await this.restore();
+
+        this.parent.state.on('selectedNodeChange', this.handleStateChange);
+        this.parent.state.on('viewRootChange', this.handleStateChange);
+        this.parent.container.addEventListener('zoom:update', this.handleZoomUpdate);
+        window.addEventListener('popstate', this.handlePopState);
+        this.isListening = true;
+    }
+
+    /**
+     * Builds a namespaced URL key
+     * @private
+     */
+    key(name) {
+        const prefix = this.options.keyPrefix || this.parent.id;
+        return `${prefix}.${name}`;
+    }
+
+    /**
+     * Reads URL parameters for the configured mode
+     * @private
+     */
+    readParams() {
+        const source = this.options.mode === 'query' ?
+            window.location.search :
+            window.location.hash;
+        return new URLSearchParams(source.replace(/^[?#]/, ''));
+    }
+
+    /**
+     * Builds a URL with updated parameters
+     * @private
+     */
+    buildURL(params) {
+        const url = new URL(window.location.href);
+        const serialized = params.toString();
+
+        if (this.options.mode === 'query') {
+            url.search = serialized;
+        } else {
+            url.hash = serialized;
+        }
+        return url.toString();
+    }
+
+    /**
+     * Sets or removes a parameter
+     * @private
+     */
+    setParam(params, name, value) {
+        if (value === null || value === undefined || value === '') {
+            params.delete(this.key(name));
+        } else {
+            params.set(this.key(name), value);
+        }
+    }
+
+    /**
+     * Serializes the current view
+     * @private
+     */
+    serialize() {
+        const state = this.parent.state;
+        const selected = state.getSelectedNode();
+        const { scale, translate } = this.parent.zoom.getCurrentTransform();
+        const isIdentity = scale === 1 && translate[0] === 0 && translate[1] === 0;
+
+        return {
+            node: selected ? selected.data.id : null,
+            root: state.state.viewRoot,
+            zoom: isIdentity ? null : [
+                scale.toFixed(2),
+                Math.round(translate[0]),
+                Math.round(translate[1])
+            ].join(',')
+        };
+    }
+
+    /**
+     * Writes the current view to the URL
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace instead of push
+     */
+    updateURL({ replace = false } = {}) {
+        if (this.isRestoring || !this.parent.state?.state) return;
+
+        const params = this.readParams();
+        const { node, root, zoom } = this.serialize();
+
+        this.setParam(params, 'node', node);
+        this.setParam(params, 'root', root);
+        this.setParam(params, 'zoom', zoom);
+
+        const url = this.buildURL(params);
+        if (url === window.location.href) return;
+
+        const historyState = {
+            ...(window.history.state || {}),
+            [this.key('view')]: { node, root, zoom }
+        };
+
+        if (replace) {
+            window.history.replaceState(historyState, '', url);
+        } else {
+            window.history.pushState(historyState, '', url);
+        }
+    }
+
+    /**
+     * Restores the view from the URL
+     * @returns {Promise<void>}
+     */
+    async restore() {
+        const params = this.readParams();
+        const state = this.parent.state;
+        const rootId = params.get(this.key('root'));
+        const nodeId = params.get(this.key('node'));
+        const zoom = params.get(this.key('zoom'));
+
+        this.isRestoring = true;
+
+        try {
+            // Re-root first so the selected node is rendered
+            if (String(rootId ?? '') !== String(state.state.viewRoot ?? '')) {
+                await state.rerootTo(rootId);
+            }
+
+            if (nodeId) {
+                await state.selectById(nodeId);
+            } else if (state.getSelectedNode()) {
+                await state.updateState({ selectedNode: null });
+            }
+
+            this.restoreZoom(zoom);
+        } catch (error) {
+            console.warn(`[${this.parent.id}] Could not restore view from URL:`, error);
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Applies a serialized zoom value
+     * @private
+     */
+    restoreZoom(value) {
+        if (!value) {
+            this.parent.zoom.setTransform(1, [0, 0]);
+            return;
+        }
+
+        const [scale, x, y] = value.split(',').map(Number);
+        if ([scale, x, y].some(Number.isNaN)) return;
+
+        this.parent.zoom.setTransform(scale, [x, y]);
+    }
+
+    /**
+     * Pushes history entries for selection and re-rooting
+     * @private
+     */
+    handleStateChange() {
+        this.updateURL();
+    }
+
+    /**
+     * Zoom only replaces the entry so panning doesn't flood history
+     * @private
+     */
+    handleZoomUpdate() {
+        this.updateURL({ replace: true });
+    }
+
+    /**
+     * Handles back/forward navigation
+     * @private
+     */
+    async handlePopState() {
+        if (this.parent.state?.state?.isDestroying) return;
+        await this.restore();
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (!this.isListening) return;
+
+        if (this.parent.state) {
+            this.parent.state.off('selectedNodeChange', this.handleStateChange);
+            this.parent.state.off('viewRootChange', this.handleStateChange);
+        }
+        this.parent.container.removeEventListener('zoom:update', this.handleZoomUpdate);
+        window.removeEventListener('popstate', this.handlePopState);
+        this.isListening = false;
+    }
+}
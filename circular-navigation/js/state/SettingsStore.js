@@ -0,0 +1,242 @@
+/**
+ * Settings Store
+ * Persists settings panel changes per browser and publishes them as site defaults
+ *
+ * Settings resolve in this order, later layers winning:
+ *   1. DEFAULT_CONFIG
+ *   2. Published site settings (circularNavData.publishedSettings[postType])
+ *   3. The embed's own config (data-config or createInstance options)
+ *   4. The visitor's saved changes in localStorage
+ * Stored and published settings are flat maps of config paths to values,
+ * e.g. { "node.central.size": 120 }, so a layer only overrides what it sets.
+ * Paths the config schema doesn't describe are dropped when read.
+ */
+
+import { DEFAULT_CONFIG } from '../core/config.js';
+import { isSchemaPath } from '../core/schema.js';
+import { cloneDeep, deepMerge, getPath, setPath } from '../utils/objects.js';
+
+const STORAGE_VERSION = 1;
+const DEFAULT_ENDPOINT = '/wp-json/my-custom-route/v1/navigation-settings/{postType}';
+
+/**
+ * Settings failure that has already been reported through settings:error
+ */
+export class SettingsError extends Error {
+    /**
+     * @param {string} scope - 'local' or 'remote'
+     * @param {Error} cause - Original error
+     */
+    constructor(scope, cause) {
+        super(cause.message);
+        this.name = 'SettingsError';
+        this.scope = scope;
+        this.cause = cause;
+    }
+}
+
+export class SettingsStore {
+    constructor(parent) {
+        this.parent = parent;
+        this.values = {};
+        this.baseConfig = null;
+    }
+
+    /**
+     * Gets persistence options
+     * @private
+     */
+    get options() {
+        const persistence = this.parent.config?.persistence || DEFAULT_CONFIG.persistence;
+        return {
+            local: true,
+            ...persistence,
+            remote: {
+                enabled: false,
+                url: DEFAULT_ENDPOINT,
+                ...persistence?.remote
+            }
+        };
+    }
+
+    /**
+     * localStorage key for this container and post type
+     */
+    get storageKey() {
+        return `circular-nav:settings:${this.parent.id}:${this.parent.postType}`;
+    }
+
+    /**
+     * Builds the instance config from every layer
+     * @param {Object} explicit - Config passed to the instance
+     * @returns {Object} Resolved config
+     */
+    resolveConfig(explicit = {}) {
+        const config = deepMerge({}, DEFAULT_CONFIG, explicit);
+
+        // Published values only fill in what the embed leaves unset
+        Object.entries(this.getPublished()).forEach(([path, value]) => {
+            if (getPath(explicit, path) === undefined) {
+                setPath(config, path, value);
+            }
+        });
+
+        // What the settings would be without the visitor's saved changes
+        this.baseConfig = cloneDeep(config);
+
+        if (config.persistence?.local !== false) {
+            this.values = this.loadLocal();
+            Object.entries(this.values).forEach(([path, value]) => {
+                setPath(config, path, value);
+            });
+        }
+
+        return config;
+    }
+
+    /**
+     * Gets settings published for this post type
+     * @returns {Object} Path to value map
+     */
+    getPublished() {
+        const published = window.circularNavData?.publishedSettings?.[this.parent.postType];
+        return this.filterKnown(published);
+    }
+
+    /**
+     * Keeps only entries whose paths are known config values
+     * @private
+     * @param {*} values - Path to value map from storage or the server
+     * @returns {Object} Filtered map
+     */
+    filterKnown(values) {
+        if (!values || typeof values !== 'object') return {};
+        return Object.fromEntries(
+            Object.entries(values).filter(([path]) => isSchemaPath(path))
+        );
+    }
+
+    /**
+     * Gets a value as set by defaults, published settings and the embed
+     * @param {string} path - Config path
+     * @returns {*} Value without local changes
+     */
+    getBaseValue(path) {
+        return getPath(this.baseConfig || DEFAULT_CONFIG, path);
+    }
+
+    /**
+     * Reads saved changes from localStorage
+     * @returns {Object} Path to value map
+     */
+    loadLocal() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.storageKey));
+            if (stored?.version !== STORAGE_VERSION || typeof stored.values !== 'object') {
+                return {};
+            }
+            return this.filterKnown(stored.values);
+        } catch (error) {
+            // Storage may be disabled or hold something unreadable
+            return {};
+        }
+    }
+
+    /**
+     * Records a changed setting
+     * @param {string} path - Config path
+     * @param {*} value - New value
+     */
+    set(path, value) {
+        this.values[path] = value;
+        this.saveLocal();
+    }
+
+    /**
+     * Removes a recorded setting
+     * @param {string} path - Config path
+     */
+    remove(path) {
+        delete this.values[path];
+        this.saveLocal();
+    }
+
+    /**
+     * Writes recorded settings to localStorage
+     * @returns {boolean} Whether the settings were stored
+     */
+    saveLocal() {
+        if (!this.options.local) return false;
+
+        try {
+            if (Object.keys(this.values).length) {
+                window.localStorage.setItem(this.storageKey, JSON.stringify({
+                    version: STORAGE_VERSION,
+                    values: this.values,
+                    updated: new Date().toISOString()
+                }));
+            } else {
+                window.localStorage.removeItem(this.storageKey);
+            }
+            this.parent.emitEvent('settings:saved', { scope: 'local', values: this.values });
+            return true;
+        } catch (error) {
+            console.error('Failed to save settings locally:', error);
+            this.parent.emitEvent('settings:error', { scope: 'local', error });
+            return false;
+        }
+    }
+
+    /**
+     * Forgets every locally saved setting
+     */
+    clearLocal() {
+        this.values = {};
+        this.saveLocal();
+    }
+
+    /**
+     * Publishes settings as the site default for this post type
+     * The endpoint is expected to check the nonce and the user's capabilities.
+     * @param {Object} values - Path to value map
+     * @returns {Promise<Object>} Server response
+     * @throws {SettingsError} When the request fails
+     */
+    async publish(values) {
+        const { remote } = this.options;
+        if (!remote.enabled) {
+            throw new Error('Publishing settings is not enabled');
+        }
+
+        const url = remote.url.replace('{postType}', encodeURIComponent(this.parent.postType));
+        const headers = {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json'
+        };
+        const nonce = window.circularNavData?.restNonce;
+        if (nonce) {
+            headers['X-WP-Nonce'] = nonce;
+        }
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                credentials: 'same-origin',
+                body: JSON.stringify({ postType: this.parent.postType, values })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Publishing settings failed with status ${response.status}`);
+            }
+
+            const result = await response.json();
+            this.parent.emitEvent('settings:saved', { scope: 'remote', values });
+            return result;
+        } catch (error) {
+            console.error('Failed to publish settings:', error);
+            this.parent.emitEvent('settings:error', { scope: 'remote', error });
+            throw new SettingsError('remote', error);
+        }
+    }
+}
@@ -3,6 +3,9 @@
  * Handles all state changes and transitions
  */
 
+import { createDataProvider, DataProviderError } from './providers/index.js';
+import { processHierarchicalData } from '../utils/calculations.js';
+
 export class StateManager {
     constructor(parent) {
         this.parent = parent;
@@ -10,6 +13,8 @@ export class StateManager {
         this.listeners = new Map();
         this.pendingTransitions = new Set();
         this.transitionTimeout = null;
+        this.provider = null;
+        this.retryCount = 0;
         
         // Initialize state
         this.state = {
@@ -20,6 +25,8 @@ export class StateManager {
             isError: false,
             error: null,
             data: null,
+            viewRoot: null,
+            viewData: null,
             selectedNode: null,
             previousNode: null,
             zoomLevel: 1,
@@ -57,93 +64,88 @@ export class StateManager {
     }
 
     /**
-     * Fetches initial data
+     * Fetches initial data through the configured provider
      * @private
      * @returns {Promise<void>}
      */
-    // In StateManager.js, modify fetchInitialData()
     async fetchInitialData() {
         try {
-            console.log('Checking circularNavData:', window.circularNavData);
-            
-            if (!window.circularNavData) {
-                throw new Error('WordPress data not initialized (circularNavData missing)');
-            }
-
-            if (!window.circularNavData.ajaxUrl) {
-                throw new Error('WordPress AJAX URL not provided');
+            if (!this.provider) {
+                this.provider = createDataProvider(this.parent);
             }
 
-            console.log('Fetching data with:', {
-                ajaxUrl: window.circularNavData.ajaxUrl,
-                postType: this.parent.postType,
-                nonce: window.circularNavData.nonce
-            });
-
-            const response = await fetch(window.circularNavData.ajaxUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: new URLSearchParams({
-                    action: 'fetch_hierarchical_posts',
-                    post_type: this.parent.postType,
-                    nonce: window.circularNavData.nonce
-                })
-            });
+            const data = await this.provider.load();
+            await this.applyData(data);
 
-            const result = await response.json();
-            console.log('Fetched data:', result);
+        } catch (error) {
+            console.error('Data fetch error:', error);
+            this.handleFetchError(error);
+            throw error;
+        }
+    }
 
-            if (!result.success) {
-                throw new Error('Data fetch failed: ' + JSON.stringify(result));
+    /**
+     * Reloads data from the provider and re-renders
+     * @returns {Promise<void>}
+     */
+    async refreshData() {
+        try {
+            if (!this.provider) {
+                this.provider = createDataProvider(this.parent);
             }
 
-            await this.updateState({ data: result.data });
+            const data = await this.provider.refresh();
+            await this.applyData(data);
+            this.emit('data:refresh', { timestamp: Date.now() });
 
         } catch (error) {
-            console.error('Data fetch error:', error);
-            this.parent.handleError(error);
+            console.error('Data refresh error:', error);
+            this.handleFetchError(error);
             throw error;
         }
     }
 
+    /**
+     * Validates raw provider data and stores the processed hierarchy
+     * @private
+     */
+    async applyData(data) {
+        const root = await this.validateAndProcessData(data);
+        this.retryCount = 0;
+        await this.updateState({ data: root });
+    }
+
     async validateAndProcessData(data) {
         if (!data || typeof data !== 'object') {
-            throw new Error('Invalid data structure');
+            throw new DataProviderError('Invalid data structure', { type: 'data' });
         }
 
         if (!data.id || !data.name) {
-            throw new Error('Missing required data fields');
+            throw new DataProviderError('Missing required data fields', { type: 'data' });
         }
 
-        // Additional validation as needed
-        return true;
+        return this.buildHierarchy(data);
+    }
+
+    /**
+     * Builds a laid out hierarchy with the configured angular allocation
+     * @private
+     */
+    buildHierarchy(data) {
+        return processHierarchicalData(data, this.parent.config.layout?.allocation);
     }
 
     handleFetchError(error) {
-        const isNetworkError = error instanceof TypeError && error.message === 'Failed to fetch';
-        const isServerError = error.message.includes('HTTP error!');
-
-        if (isNetworkError) {
-            this.emit('fetch:error', { 
-                type: 'network',
-                error,
-                retryable: true
-            });
-        } else if (isServerError) {
-            this.emit('fetch:error', {
-                type: 'server',
-                error,
-                retryable: error.message.includes('503') // Retry on service unavailable
-            });
-        } else {
-            this.emit('fetch:error', {
-                type: 'unknown',
-                error,
-                retryable: false
-            });
-        }
+        const { type, retryable } = this.provider ?
+            this.provider.classifyError(error) :
+            { type: 'unknown', retryable: false };
+
+        this.emit('fetch:error', {
+            type,
+            error,
+            retryable
+        });
+        this.parent.emitEvent('fetch:error', { type, error, retryable });
     }
 
     /**
@@ -234,6 +236,16 @@ export class StateManager {
      * @param {Object} newState - New state
      */
     async handleStateChange(oldState, newState) {
+        // Handle data changes
+        if (newState.data !== oldState.data) {
+            await this.handleDataChange(newState.data);
+        }
+
+        // Handle re-rooting
+        if (newState.viewRoot !== oldState.viewRoot) {
+            await this.handleViewRootChange(newState.viewRoot, oldState.viewRoot);
+        }
+
         // Handle selection changes
         if (newState.selectedNode !== oldState.selectedNode) {
             if (oldState.selectedNode) {
@@ -242,11 +254,6 @@ export class StateManager {
             await this.handleSelectionChange(newState.selectedNode, oldState.selectedNode);
         }
 
-        // Handle data changes
-        if (newState.data !== oldState.data) {
-            await this.handleDataChange(newState.data);
-        }
-
         // Handle transition state
         if (newState.isTransitioning !== oldState.isTransitioning) {
             this.handleTransitionChange(newState.isTransitioning);
@@ -270,9 +277,9 @@ export class StateManager {
 
         try {
             // Preload content if needed
-            if (newNode && !this.state.contentLoaded.has(newNode.id)) {
-                await this.parent.cache.preload(newNode.id);
-                this.state.contentLoaded.add(newNode.id);
+            if (newNode && !this.state.contentLoaded.has(newNode.data.id)) {
+                await this.parent.cache.preloadContent(newNode.data.id);
+                this.state.contentLoaded.add(newNode.data.id);
             }
 
             // Update visualization
@@ -287,6 +294,190 @@ export class StateManager {
         }
     }
 
+    /**
+     * Handles data changes
+     * @private
+     * @param {Object} data - New hierarchy
+     */
+    async handleDataChange(data) {
+        // Loaded flags refer to the previous data set
+        this.state.contentLoaded = new Set();
+
+        // Keep the current drill-down if the branch still exists
+        if (this.state.viewRoot) {
+            const rootNode = this.findNode(this.state.viewRoot);
+            this.state.viewData = rootNode?.children ?
+                this.buildHierarchy(rootNode.data) :
+                null;
+            if (!this.state.viewData) {
+                this.state.viewRoot = null;
+            }
+        }
+    }
+
+    /**
+     * Re-renders the wheel around a new root
+     * @private
+     * @param {string|null} newRootId - New view root ID (null for the real root)
+     * @param {string|null} oldRootId - Previous view root ID
+     */
+    async handleViewRootChange(newRootId, oldRootId) {
+        const newDepth = newRootId ? this.findNode(newRootId)?.depth ?? 0 : 0;
+        const oldDepth = oldRootId ? this.findNode(oldRootId)?.depth ?? 0 : 0;
+
+        await this.parent.viz.transitionRoot(newDepth > oldDepth ? 'down' : 'up');
+
+        this.parent.emitEvent('root:change', {
+            rootId: newRootId,
+            previousRootId: oldRootId,
+            path: this.getPath(newRootId).map(node => node.data.id)
+        });
+    }
+
+    /**
+     * Re-roots the wheel on a node of the full hierarchy
+     * @param {string|number} id - Node ID, or null for the real root
+     * @returns {Promise<boolean>} Whether the wheel was re-rooted
+     */
+    async rerootTo(id) {
+        const view = this.buildView(id);
+        if (!view) return false;
+
+        return this.updateState({
+            ...view,
+            // Drilling into an item selects it
+            selectedNode: view.viewData || this.state.data
+        });
+    }
+
+    /**
+     * Builds the view state for a root of the full hierarchy
+     * @private
+     * @param {string|number} id - Node ID, or null for the real root
+     * @returns {Object|null} viewRoot and viewData, or null if it can't be a root
+     */
+    buildView(id) {
+        const root = this.state.data;
+        if (!root) return null;
+
+        const node = id === null ? root : this.findNode(id);
+        if (!node || !node.children?.length) return null;
+
+        const isRealRoot = node === root;
+        return {
+            viewRoot: isRealRoot ? null : node.data.id,
+            viewData: isRealRoot ? null : this.buildHierarchy(node.data)
+        };
+    }
+
+    /**
+     * Re-roots the wheel one level up
+     * @returns {Promise<boolean>}
+     */
+    async rerootUp() {
+        const parentNode = this.getViewRootParent();
+        if (!parentNode) return false;
+        return this.rerootTo(parentNode.parent ? parentNode.data.id : null);
+    }
+
+    /**
+     * Makes a node of the full hierarchy part of the rendered view,
+     * re-rooting if it isn't rendered
+     * @param {string|number} id - Node ID
+     * @param {Object} [options]
+     * @param {boolean} [options.select=false] - Select the node with the re-root;
+     *     otherwise the selection is kept if it's still rendered
+     * @returns {Promise<Object|null>} Hierarchy node of the current view
+     */
+    async revealById(id, { select = false } = {}) {
+        const matches = node => String(node.data.id) === String(id);
+        const node = this.getData()?.find(matches);
+        if (node) return node;
+
+        const fullNode = this.findNode(id);
+        if (!fullNode) return null;
+
+        // Grandparent as root puts the node on the outer ring
+        const rootNode = fullNode.depth <= 2 ? null : fullNode.parent.parent;
+        const view = this.buildView(rootNode ? rootNode.data.id : null);
+        if (!view) return null;
+
+        // One update, so the new root is never selected on the way
+        const viewNodes = view.viewData || this.state.data;
+        const selected = this.state.selectedNode;
+        const selectedNode = select ?
+            viewNodes.find(matches) :
+            selected && viewNodes.find(viewNode => viewNode.data.id === selected.data.id);
+
+        await this.updateState({ ...view, selectedNode: selectedNode || null });
+        return this.getData().find(matches) || null;
+    }
+
+    /**
+     * Selects a node anywhere in the hierarchy, re-rooting if it isn't rendered
+     * @param {string|number} id - Node ID
+     * @returns {Promise<Object|null>} Selected hierarchy node of the current view
+     */
+    async selectById(id) {
+        const node = await this.revealById(id, { select: true });
+
+        if (node && node !== this.state.selectedNode) {
+            await this.updateState({ selectedNode: node });
+        }
+        return node;
+    }
+
+    /**
+     * Whether the wheel is showing a sub-branch
+     */
+    canGoUp() {
+        return !!this.state.viewRoot;
+    }
+
+    /**
+     * Gets the full-tree parent of the current view root
+     */
+    getViewRootParent() {
+        if (!this.state.viewRoot) return null;
+        return this.findNode(this.state.viewRoot)?.parent || null;
+    }
+
+    /**
+     * Finds a node of the full hierarchy by data ID
+     * @param {string|number} id - Node ID
+     * @returns {Object|null} d3 hierarchy node
+     */
+    findNode(id) {
+        if (!this.state.data || id === null || id === undefined) return null;
+        return this.state.data.find(node => String(node.data.id) === String(id)) || null;
+    }
+
+    /**
+     * Gets the full-tree path from the real root to a node
+     * @param {string|number} id - Node ID
+     * @returns {Array} Hierarchy nodes, root first
+     */
+    getPath(id) {
+        const node = id === null ? this.state.data : this.findNode(id);
+        return node ? node.ancestors().reverse() : [];
+    }
+
+    /**
+     * Mirrors transition state on the container
+     * @private
+     */
+    handleTransitionChange(isTransitioning) {
+        this.parent.container.classList.toggle('is-transitioning', isTransitioning);
+    }
+
+    /**
+     * Mirrors error state on the container
+     * @private
+     */
+    handleErrorChange(error) {
+        this.parent.container.classList.toggle('has-error', !!error);
+    }
+
     /**
      * Event handling
      */
@@ -315,6 +506,10 @@ export class StateManager {
      * Cleanup
      */
     destroy() {
+        if (this.provider) {
+            this.provider.destroy();
+            this.provider = null;
+        }
         this.listeners.clear();
         this.state = null;
     }
@@ -341,7 +536,17 @@ export class StateManager {
         return this.state.previousNode;
     }
 
+    /**
+     * Gets the hierarchy currently rendered, which is a sub-branch when re-rooted
+     */
     getData() {
+        return this.state.viewData || this.state.data;
+    }
+
+    /**
+     * Gets the full hierarchy regardless of re-rooting
+     */
+    getFullData() {
         return this.state.data;
     }
 
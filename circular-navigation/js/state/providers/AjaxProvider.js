@@ -0,0 +1,36 @@
+/**
+ * Admin-Ajax Provider
+ * Loads the hierarchy through WordPress admin-ajax.php
+ */
+
+import { DataProvider, DataProviderError } from './DataProvider.js';
+
+export class AjaxProvider extends DataProvider {
+    async fetchData(signal) {
+        const wpData = window.circularNavData;
+
+        if (!wpData) {
+            throw new DataProviderError(
+                'WordPress data not initialized (circularNavData missing)',
+                { type: 'data' }
+            );
+        }
+
+        const url = this.options.url || wpData.ajaxUrl;
+        if (!url) {
+            throw new DataProviderError('WordPress AJAX URL not provided', { type: 'data' });
+        }
+
+        return this.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: new URLSearchParams({
+                action: this.options.action,
+                post_type: this.parent.postType,
+                nonce: wpData.nonce
+            })
+        }, signal);
+    }
+}
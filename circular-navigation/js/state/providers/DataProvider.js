@@ -0,0 +1,191 @@
+/**
+ * Data Provider
+ * Base contract for loading hierarchical data into the StateManager
+ */
+
+export class DataProviderError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options] - Error details
+     * @param {string} [options.type] - network | timeout | server | data | unknown
+     * @param {number} [options.status] - HTTP status, if any
+     * @param {boolean} [options.retryable] - Whether the request may be retried
+     * @param {Error} [options.cause] - Original error
+     */
+    constructor(message, { type = 'unknown', status = null, retryable = false, cause = null } = {}) {
+        super(message);
+        // NetworkError is picked up by CircularNavManager.attemptErrorRecovery
+        this.name = (type === 'network' || type === 'timeout') ? 'NetworkError' : 'DataProviderError';
+        this.type = type;
+        this.status = status;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+export class DataProvider {
+    /**
+     * @param {Object} parent - CircularNavManager instance
+     * @param {Object} options - Resolved `data` config section
+     */
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.options = options;
+        this.controller = null;
+        this.lastResult = null;
+        this.lastLoaded = null;
+    }
+
+    /**
+     * Loads the raw hierarchy
+     * @returns {Promise<Object>} Raw hierarchical data
+     */
+    async load() {
+        this.abort();
+        this.controller = new AbortController();
+
+        try {
+            const result = await this.fetchData(this.controller.signal);
+            this.lastResult = this.unwrap(result);
+            this.lastLoaded = Date.now();
+            return this.lastResult;
+        } finally {
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Reloads the hierarchy, bypassing anything the provider holds on to
+     * @returns {Promise<Object>} Raw hierarchical data
+     */
+    async refresh() {
+        return this.load();
+    }
+
+    /**
+     * Provider specific loading
+     * @abstract
+     * @param {AbortSignal} signal - Abort signal for the current load
+     * @returns {Promise<Object>}
+     */
+    async fetchData(signal) {
+        throw new DataProviderError(
+            `${this.constructor.name} does not implement fetchData()`,
+            { type: 'unknown' }
+        );
+    }
+
+    /**
+     * Unwraps WordPress style `{ success, data }` responses
+     * @protected
+     */
+    unwrap(result) {
+        if (result && typeof result === 'object' && 'success' in result) {
+            if (!result.success) {
+                throw new DataProviderError(
+                    'Data fetch failed: ' + JSON.stringify(result),
+                    { type: 'server' }
+                );
+            }
+            return result.data;
+        }
+        return result;
+    }
+
+    /**
+     * Performs a JSON request with timeout and error normalization
+     * @protected
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch() options
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async request(url, init = {}, signal = null) {
+        const timeout = this.options.timeout;
+        let timedOut = false;
+        const timer = timeout ? setTimeout(() => {
+            timedOut = true;
+            this.abort();
+        }, timeout) : null;
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new DataProviderError(
+                    `Request timed out after ${timeout}ms`,
+                    { type: 'timeout', retryable: true, cause: error }
+                );
+            }
+            if (error.name === 'AbortError') {
+                throw new DataProviderError('Request aborted', { type: 'aborted', cause: error });
+            }
+            throw new DataProviderError(
+                `Network request failed: ${error.message}`,
+                { type: 'network', retryable: true, cause: error }
+            );
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new DataProviderError(
+                `HTTP error! status: ${response.status}`,
+                {
+                    type: 'server',
+                    status: response.status,
+                    retryable: [429, 502, 503, 504].includes(response.status)
+                }
+            );
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new DataProviderError(
+                'Invalid JSON in data response',
+                { type: 'data', cause: error }
+            );
+        }
+    }
+
+    /**
+     * Classifies an error for fetch:error reporting and retries
+     * @param {Error} error - Error thrown by load() or refresh()
+     * @returns {{type: string, retryable: boolean}}
+     */
+    classifyError(error) {
+        if (error instanceof DataProviderError) {
+            return { type: error.type, retryable: error.retryable };
+        }
+
+        if (error instanceof TypeError && error.message === 'Failed to fetch') {
+            return { type: 'network', retryable: true };
+        }
+
+        if (error?.message?.includes('HTTP error!')) {
+            return { type: 'server', retryable: error.message.includes('503') };
+        }
+
+        return { type: 'unknown', retryable: false };
+    }
+
+    /**
+     * Aborts an in-flight load
+     */
+    abort() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.abort();
+        this.lastResult = null;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Function Provider
+ * Delegates loading to a custom async function
+ */
+
+import { DataProvider, DataProviderError } from './DataProvider.js';
+
+export class FunctionProvider extends DataProvider {
+    async fetchData(signal) {
+        const callback = this.resolveCallback(this.options.callback);
+
+        try {
+            return await callback({
+                postType: this.parent.postType,
+                containerId: this.parent.id,
+                signal
+            });
+        } catch (error) {
+            if (error instanceof DataProviderError) throw error;
+            throw new DataProviderError(
+                `Data callback failed: ${error.message}`,
+                { type: 'unknown', cause: error }
+            );
+        }
+    }
+
+    /**
+     * Resolves a function or a dotted global path such as "MySite.loadNav"
+     * @private
+     */
+    resolveCallback(callback) {
+        if (typeof callback === 'function') return callback;
+
+        if (typeof callback === 'string') {
+            const fn = callback.split('.').reduce((obj, key) => obj?.[key], window);
+            if (typeof fn === 'function') return fn;
+        }
+
+        throw new DataProviderError(
+            `Data callback ${callback} is not a function`,
+            { type: 'data' }
+        );
+    }
+}
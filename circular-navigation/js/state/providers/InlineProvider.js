@@ -0,0 +1,34 @@
+/**
+ * Inline Provider
+ * Reads the hierarchy from an object in config or a JSON script tag
+ */
+
+import { DataProvider, DataProviderError } from './DataProvider.js';
+
+export class InlineProvider extends DataProvider {
+    async fetchData() {
+        const source = this.options.source || `#${this.parent.id}-data`;
+
+        // Data passed directly in config
+        if (typeof source === 'object') {
+            return source;
+        }
+
+        const element = document.querySelector(source);
+        if (!element) {
+            throw new DataProviderError(
+                `Inline data element ${source} not found`,
+                { type: 'data' }
+            );
+        }
+
+        try {
+            return JSON.parse(element.textContent);
+        } catch (error) {
+            throw new DataProviderError(
+                `Inline data in ${source} is not valid JSON`,
+                { type: 'data', cause: error }
+            );
+        }
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * JSON URL Provider
+ * Loads the hierarchy from a static JSON file
+ */
+
+import { DataProvider, DataProviderError } from './DataProvider.js';
+
+export class JsonUrlProvider extends DataProvider {
+    async fetchData(signal) {
+        if (!this.options.url) {
+            throw new DataProviderError('JSON provider requires a data.url', { type: 'data' });
+        }
+
+        const url = this.options.url
+            .replace('{postType}', encodeURIComponent(this.parent.postType));
+
+        return this.request(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        }, signal);
+    }
+
+    /**
+     * Static files are often cached aggressively, so refresh busts the cache
+     */
+    async refresh() {
+        const original = this.options.url;
+        if (!original) {
+            throw new DataProviderError('JSON provider requires a data.url', { type: 'data' });
+        }
+
+        const separator = original.includes('?') ? '&' : '?';
+        this.options = { ...this.options, url: `${original}${separator}_=${Date.now()}` };
+
+        try {
+            return await this.load();
+        } finally {
+            this.options = { ...this.options, url: original };
+        }
+    }
+}
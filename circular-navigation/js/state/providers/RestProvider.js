@@ -0,0 +1,27 @@
+/**
+ * REST Provider
+ * Loads the hierarchy from a WP REST API route
+ */
+
+import { DataProvider } from './DataProvider.js';
+
+const DEFAULT_ROUTE = '/wp-json/my-custom-route/v1/hierarchical-posts/{postType}';
+
+export class RestProvider extends DataProvider {
+    async fetchData(signal) {
+        const url = (this.options.url || DEFAULT_ROUTE)
+            .replace('{postType}', encodeURIComponent(this.parent.postType));
+
+        const headers = { 'Accept': 'application/json' };
+        const nonce = window.circularNavData?.restNonce;
+        if (nonce) {
+            headers['X-WP-Nonce'] = nonce;
+        }
+
+        return this.request(url, {
+            method: 'GET',
+            headers,
+            credentials: 'same-origin'
+        }, signal);
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Data Providers
+ * Registry and factory for StateManager data sources
+ */
+
+import { DEFAULT_CONFIG } from '../../core/config.js';
+import { deepMerge } from '../../utils/objects.js';
+import { DataProvider, DataProviderError } from './DataProvider.js';
+import { AjaxProvider } from './AjaxProvider.js';
+import { RestProvider } from './RestProvider.js';
+import { JsonUrlProvider } from './JsonUrlProvider.js';
+import { InlineProvider } from './InlineProvider.js';
+import { FunctionProvider } from './FunctionProvider.js';
+
+const providers = new Map([
+    ['ajax', AjaxProvider],
+    ['rest', RestProvider],
+    ['json', JsonUrlProvider],
+    ['inline', InlineProvider],
+    ['function', FunctionProvider]
+]);
+
+/**
+ * Registers a custom provider type
+ * @param {string} name - Name used as `data.provider` in config
+ * @param {typeof DataProvider} ProviderClass - DataProvider subclass
+ */
+export function registerProvider(name, ProviderClass) {
+    if (!(ProviderClass?.prototype instanceof DataProvider)) {
+        throw new Error(`Provider ${name} must extend DataProvider`);
+    }
+    providers.set(name, ProviderClass);
+}
+
+/**
+ * Creates the provider selected by the instance config
+ * @param {Object} parent - CircularNavManager instance
+ * @returns {DataProvider}
+ */
+export function createDataProvider(parent) {
+    // Nested options keep the defaults they don't override
+    const options = deepMerge({}, DEFAULT_CONFIG.data, parent.config.data);
+
+    const ProviderClass = providers.get(options.provider);
+    if (!ProviderClass) {
+        throw new Error(`Unknown data provider: ${options.provider}`);
+    }
+
+    return new ProviderClass(parent, options);
+}
+
+export {
+    DataProvider,
+    DataProviderError,
+    AjaxProvider,
+    RestProvider,
+    JsonUrlProvider,
+    InlineProvider,
+    FunctionProvider
+};
@@ -0,0 +1,140 @@
+/**
+ * Breadcrumbs
+ * Shows the path from the real root to the selected node
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class Breadcrumbs {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.container = null;
+        this.list = null;
+
+        // Bind methods
+        this.update = this.update.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * Creates breadcrumb element
+     */
+    create() {
+        if (this.config.breadcrumbs?.enabled === false) return;
+
+        this.container = createElement('nav', {
+            className: 'circular-nav-breadcrumbs',
+            'aria-label': 'Breadcrumb',
+            dataset: { id: `${this.parent.id}-breadcrumbs` }
+        });
+
+        this.list = createElement('ol', {
+            className: 'breadcrumb-list'
+        });
+        this.list.addEventListener('click', this.handleClick);
+
+        this.container.appendChild(this.list);
+        this.parent.container.appendChild(this.container);
+
+        // Keep in sync with selection and re-rooting
+        this.parent.state.on('selectedNodeChange', this.update);
+        this.parent.state.on('viewRootChange', this.update);
+
+        this.update();
+    }
+
+    /**
+     * Re-renders the trail for the current selection
+     */
+    update() {
+        if (!this.list) return;
+
+        const state = this.parent.state;
+        const selected = state.getSelectedNode();
+        const targetId = selected ? selected.data.id : state.state.viewRoot;
+        const path = state.getPath(targetId);
+
+        this.list.innerHTML = '';
+
+        path.forEach((node, i) => {
+            const isCurrent = i === path.length - 1;
+            const item = createElement('li', {
+                className: `breadcrumb-item${isCurrent ? ' current' : ''}`
+            });
+
+            const label = i === 0 && this.config.breadcrumbs?.rootLabel ?
+                this.config.breadcrumbs.rootLabel :
+                node.data.name;
+
+            if (isCurrent) {
+                const current = createElement('span', {
+                    'aria-current': 'location'
+                });
+                current.textContent = label;
+                item.appendChild(current);
+            } else {
+                const button = createElement('button', {
+                    type: 'button',
+                    className: 'breadcrumb-link',
+                    dataset: { nodeId: node.data.id }
+                });
+                button.textContent = label;
+                item.appendChild(button);
+            }
+
+            this.list.appendChild(item);
+        });
+
+        this.container.classList.toggle('is-empty', path.length === 0);
+    }
+
+    /**
+     * Handles clicks on ancestor crumbs
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('.breadcrumb-link');
+        if (!button || this.parent.state.isTransitioning()) return;
+
+        this.selectAncestor(button.dataset.nodeId);
+    }
+
+    /**
+     * Selects an ancestor, re-rooting when it lies above the current view
+     * @param {string} id - Ancestor node ID
+     */
+    selectAncestor(id) {
+        const state = this.parent.state;
+        const viewNode = state.getData()
+            .find(node => String(node.data.id) === String(id));
+
+        if (viewNode) {
+            state.updateState({ selectedNode: viewNode });
+            return;
+        }
+
+        // Ancestor is above the current view root
+        const fullNode = state.findNode(id);
+        if (fullNode) {
+            state.rerootTo(fullNode.parent ? fullNode.data.id : null);
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.parent.state) {
+            this.parent.state.off('selectedNodeChange', this.update);
+            this.parent.state.off('viewRootChange', this.update);
+        }
+
+        if (this.container) {
+            this.container.remove();
+        }
+
+        this.container = null;
+        this.list = null;
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * Content Panel
+ * Displays the cached Elementor content of the selected node
+ */
+
+import { createElement } from '../utils/dom.js';
+
+const LAYOUTS = ['side', 'below', 'modal'];
+
+// Elements Tab can reach inside the modal
+const FOCUSABLE = [
+    'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled])',
+    'select:not([disabled])', 'textarea:not([disabled])', 'iframe',
+    '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+export class ContentPanel {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.panel = null;
+        this.body = null;
+        this.title = null;
+        this.backdrop = null;
+        this.isOpen = false;
+        this.currentNode = null;
+        this.requestId = 0;
+        this.lastFocused = null;
+
+        // Bind methods
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.close = this.close.bind(this);
+    }
+
+    /**
+     * Gets the configured layout
+     * @private
+     */
+    get layout() {
+        const layout = this.config.content?.layout;
+        return LAYOUTS.includes(layout) ? layout : 'side';
+    }
+
+    /**
+     * Creates the panel
+     */
+    create() {
+        if (this.config.content?.enabled === false) return;
+
+        const layout = this.layout;
+
+        this.panel = createElement('section', {
+            className: `circular-nav-content layout-${layout}`,
+            'aria-live': 'polite',
+            'aria-busy': 'false',
+            dataset: { id: `${this.parent.id}-content` }
+        });
+
+        if (layout === 'modal') {
+            this.panel.setAttribute('role', 'dialog');
+            this.panel.setAttribute('aria-modal', 'true');
+            this.panel.setAttribute('tabindex', '-1');
+        }
+
+        this.panel.appendChild(this.createHeader());
+
+        this.body = createElement('div', {
+            className: 'content-body'
+        });
+        this.panel.appendChild(this.body);
+
+        this.mount(layout);
+        this.renderPlaceholder();
+
+        this.parent.state.on('selectedNodeChange', this.handleSelectionChange);
+    }
+
+    /**
+     * Creates panel header
+     * @private
+     */
+    createHeader() {
+        const header = createElement('header', {
+            className: 'content-header'
+        });
+
+        this.title = createElement('h2', {
+            className: 'content-title',
+            id: `${this.parent.id}-content-title`
+        });
+        header.appendChild(this.title);
+        this.panel.setAttribute('aria-labelledby', this.title.id);
+
+        if (this.layout === 'modal') {
+            const closeBtn = createElement('button', {
+                type: 'button',
+                className: 'content-close',
+                'aria-label': 'Close'
+            });
+            closeBtn.textContent = '×';
+            closeBtn.addEventListener('click', this.close);
+            header.appendChild(closeBtn);
+        }
+
+        return header;
+    }
+
+    /**
+     * Inserts the panel into the document for the layout
+     * @private
+     */
+    mount(layout) {
+        switch (layout) {
+            case 'modal':
+                this.backdrop = createElement('div', {
+                    className: 'circular-nav-content-backdrop',
+                    dataset: { id: `${this.parent.id}-content-backdrop` }
+                });
+                this.backdrop.addEventListener('click', this.close);
+                document.body.appendChild(this.backdrop);
+                document.body.appendChild(this.panel);
+                break;
+
+            case 'below':
+                this.parent.container.after(this.panel);
+                break;
+
+            default:
+                this.parent.container.classList.add('has-content-panel');
+                this.parent.container.appendChild(this.panel);
+        }
+    }
+
+    /**
+     * Handles selection changes from state
+     * @private
+     */
+    handleSelectionChange({ newValue }) {
+        this.show(newValue);
+    }
+
+    /**
+     * Shows content for a node
+     * @param {Object|null} node - Hierarchy node
+     * @returns {Promise<void>}
+     */
+    async show(node) {
+        if (!this.panel) return;
+
+        const requestId = ++this.requestId;
+        this.currentNode = node;
+
+        if (!node) {
+            this.renderPlaceholder();
+            if (this.layout === 'modal') this.close();
+            return;
+        }
+
+        this.title.textContent = node.data.name;
+        this.renderLoading();
+        this.open();
+
+        try {
+            const content = await this.parent.cache.get(node.data.id);
+
+            // A newer selection won the race
+            if (requestId !== this.requestId) return;
+
+            this.renderContent(content);
+            this.parent.emitEvent('content:loaded', { node, version: content.version });
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+
+            console.error(`Failed to show content for ${node.data.id}:`, error);
+            this.renderError(node, error);
+            this.parent.emitEvent('content:error', { node, error });
+        }
+    }
+
+    /**
+     * Renders placeholder text
+     * @private
+     */
+    renderPlaceholder() {
+        this.title.textContent = '';
+        this.setStatus('empty');
+
+        const placeholder = createElement('p', {
+            className: 'content-placeholder'
+        });
+        placeholder.textContent = this.config.content?.placeholder ||
+            'Select an item to view its content.';
+
+        this.swapBody(placeholder);
+    }
+
+    /**
+     * Renders loading skeleton
+     * @private
+     */
+    renderLoading() {
+        this.setStatus('loading');
+
+        const skeleton = createElement('div', {
+            className: 'content-skeleton',
+            'aria-hidden': 'true'
+        });
+        ['title', 'line', 'line', 'line short', 'block'].forEach(type => {
+            skeleton.appendChild(createElement('div', {
+                className: `skeleton-${type.replace(' ', ' skeleton-')}`
+            }));
+        });
+
+        this.swapBody(skeleton);
+    }
+
+    /**
+     * Renders processed content HTML
+     * @private
+     */
+    renderContent(content) {
+        this.setStatus('loaded');
+
+        const wrapper = createElement('div', {
+            className: 'content-html'
+        });
+        wrapper.innerHTML = content.html;
+
+        this.swapBody(wrapper);
+    }
+
+    /**
+     * Renders error state with retry
+     * @private
+     */
+    renderError(node, error) {
+        this.setStatus('error');
+
+        const wrapper = createElement('div', {
+            className: 'content-error',
+            role: 'alert'
+        });
+
+        const message = createElement('p');
+        message.textContent = 'This content could not be loaded.';
+
+        const retryBtn = createElement('button', {
+            type: 'button',
+            className: 'content-retry'
+        });
+        retryBtn.textContent = 'Try again';
+        retryBtn.addEventListener('click', () => this.show(node));
+
+        wrapper.appendChild(message);
+        wrapper.appendChild(retryBtn);
+        this.swapBody(wrapper);
+    }
+
+    /**
+     * Replaces body content with a fade transition
+     * @private
+     */
+    swapBody(element) {
+        this.body.classList.remove('is-visible');
+        this.body.innerHTML = '';
+        this.body.appendChild(element);
+
+        // Next frame so the transition runs
+        requestAnimationFrame(() => {
+            this.body?.classList.add('is-visible');
+        });
+    }
+
+    /**
+     * Updates status classes and ARIA busy state
+     * @private
+     */
+    setStatus(status) {
+        this.panel.classList.remove('is-empty', 'is-loading', 'is-loaded', 'is-error');
+        this.panel.classList.add(`is-${status}`);
+        this.panel.setAttribute('aria-busy', status === 'loading' ? 'true' : 'false');
+    }
+
+    /**
+     * Opens the panel
+     */
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        this.panel.classList.add('is-open');
+
+        if (this.layout === 'modal') {
+            this.lastFocused = document.activeElement;
+            this.backdrop.classList.add('is-open');
+            document.addEventListener('keydown', this.handleKeydown);
+            this.panel.focus();
+        }
+    }
+
+    /**
+     * Closes the panel
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.panel.classList.remove('is-open');
+
+        if (this.layout === 'modal') {
+            this.backdrop.classList.remove('is-open');
+            document.removeEventListener('keydown', this.handleKeydown);
+            if (this.lastFocused?.focus) {
+                this.lastFocused.focus();
+            }
+            this.lastFocused = null;
+        }
+    }
+
+    /**
+     * Closes modal on Escape and keeps Tab inside it
+     * @private
+     */
+    handleKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.close();
+        } else if (event.key === 'Tab') {
+            this.trapFocus(event);
+        }
+    }
+
+    /**
+     * Wraps Tab and Shift+Tab around the modal's focusable elements
+     * @private
+     */
+    trapFocus(event) {
+        const focusable = Array.from(this.panel.querySelectorAll(FOCUSABLE))
+            .filter(element => element.getClientRects().length > 0);
+
+        if (!focusable.length) {
+            event.preventDefault();
+            this.panel.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !this.panel.contains(active);
+
+        if (event.shiftKey && (active === first || active === this.panel || outside)) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && (active === last || outside)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.requestId++;
+
+        if (this.parent.state) {
+            this.parent.state.off('selectedNodeChange', this.handleSelectionChange);
+        }
+        if (this.isOpen) {
+            this.close();
+        }
+        document.removeEventListener('keydown', this.handleKeydown);
+
+        if (this.panel) {
+            this.panel.remove();
+        }
+        if (this.backdrop) {
+            this.backdrop.remove();
+        }
+        this.parent.container.classList.remove('has-content-panel');
+
+        this.panel = null;
+        this.body = null;
+        this.title = null;
+        this.backdrop = null;
+        this.currentNode = null;
+        this.isOpen = false;
+    }
+}
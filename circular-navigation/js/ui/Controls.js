@@ -4,6 +4,10 @@
  */
 
 import { createElement } from '../utils/dom.js';
+import { searchHierarchy, normalizeText } from '../utils/search.js';
+import { performance } from '../utils/performance.js';
+import { Minimap } from './Minimap.js';
+import { ExportError } from '../visualization/ExportManager.js';
 
 export class Controls {
     constructor(parent) {
@@ -12,12 +16,25 @@ export class Controls {
         this.container = null;
         this.currentZoom = 1;
         this.isZooming = false;
+        this.minimap = null;
 
         // Bind methods
         this.handleZoomIn = this.handleZoomIn.bind(this);
         this.handleZoomOut = this.handleZoomOut.bind(this);
         this.handleReset = this.handleReset.bind(this);
         this.handleKeyboard = this.handleKeyboard.bind(this);
+        this.handleSearchKeydown = this.handleSearchKeydown.bind(this);
+        this.handleResultClick = this.handleResultClick.bind(this);
+        this.handleSearchInput = performance.debounce(
+            this.handleSearchInput.bind(this),
+            this.config.performance.throttleDelay
+        );
+
+        // Search state
+        this.searchInput = null;
+        this.searchResults = null;
+        this.results = [];
+        this.activeResult = -1;
     }
 
     /**
@@ -30,12 +47,28 @@ export class Controls {
             dataset: { id: `${this.parent.id}-controls` }
         });
 
+        // Add search
+        if (this.config.search?.enabled !== false) {
+            this.createSearchControl();
+        }
+
         // Add zoom controls
         this.createZoomControls();
 
         // Optional: Add other controls (fullscreen, reset, etc.)
         this.createAdditionalControls();
 
+        // Add export actions
+        if (this.config.export?.enabled !== false) {
+            this.createExportControls();
+        }
+
+        // Add overview minimap
+        if (this.config.minimap?.enabled !== false) {
+            this.minimap = new Minimap(this.parent);
+            this.minimap.create(this.container);
+        }
+
         // Add to parent container
         this.parent.container.appendChild(this.container);
 
@@ -43,6 +76,274 @@ export class Controls {
         this.setupKeyboardControls();
     }
 
+    /**
+     * Creates search box with results dropdown
+     * @private
+     */
+    createSearchControl() {
+        const searchGroup = createElement('div', {
+            className: 'control-group search-controls'
+        });
+        const listId = `${this.parent.id}-search-results`;
+
+        this.searchInput = createElement('input', {
+            type: 'search',
+            className: 'search-input',
+            placeholder: 'Search…',
+            autocomplete: 'off',
+            role: 'combobox',
+            'aria-label': 'Search items',
+            'aria-autocomplete': 'list',
+            'aria-expanded': 'false',
+            'aria-controls': listId
+        });
+        this.searchInput.addEventListener('input', this.handleSearchInput);
+        this.searchInput.addEventListener('keydown', this.handleSearchKeydown);
+        this.searchInput.addEventListener('blur', () => this.hideResults());
+
+        this.searchResults = createElement('ul', {
+            className: 'search-results',
+            id: listId,
+            role: 'listbox',
+            'aria-label': 'Search results'
+        });
+        this.searchResults.hidden = true;
+        // Keep focus in the input while clicking results
+        this.searchResults.addEventListener('mousedown', event => event.preventDefault());
+        this.searchResults.addEventListener('click', this.handleResultClick);
+
+        searchGroup.appendChild(this.searchInput);
+        searchGroup.appendChild(this.searchResults);
+        this.container.appendChild(searchGroup);
+    }
+
+    /**
+     * Runs the search for the current input
+     * @private
+     */
+    handleSearchInput() {
+        if (!this.searchInput) return;
+        this.search(this.searchInput.value);
+    }
+
+    /**
+     * Searches the full hierarchy and highlights rendered matches
+     * @param {string} query - Search query
+     * @returns {Array} Results
+     */
+    search(query) {
+        const state = this.parent.state;
+        const options = {
+            includeExcerpts: !!this.config.search?.includeExcerpts
+        };
+
+        this.results = searchHierarchy(state.getFullData(), query, {
+            ...options,
+            limit: this.config.search?.maxResults || 8
+        });
+
+        // Highlight every rendered match, not just the listed ones
+        const rendered = searchHierarchy(state.getData(), query, options);
+        this.parent.viz.highlightNodes(
+            query.trim() ? rendered.map(result => result.node.data.id) : null
+        );
+
+        this.renderResults(query);
+        return this.results;
+    }
+
+    /**
+     * Renders the results dropdown
+     * @private
+     */
+    renderResults(query) {
+        this.searchResults.innerHTML = '';
+        this.activeResult = -1;
+        this.searchInput.removeAttribute('aria-activedescendant');
+
+        if (!query.trim()) {
+            this.hideResults();
+            return;
+        }
+
+        if (this.results.length === 0) {
+            const empty = createElement('li', {
+                className: 'search-empty',
+                role: 'presentation'
+            });
+            empty.textContent = 'No matches';
+            this.searchResults.appendChild(empty);
+        }
+
+        this.results.forEach((result, i) => {
+            const item = createElement('li', {
+                className: 'search-result',
+                id: `${this.searchResults.id}-${i}`,
+                role: 'option',
+                'aria-selected': 'false',
+                dataset: { index: i }
+            });
+
+            const name = createElement('span', { className: 'search-result-name' });
+            this.appendHighlighted(name, result.node.data.name, result.indices);
+
+            const ancestors = result.node.ancestors().slice(1).reverse();
+            const path = createElement('span', { className: 'search-result-path' });
+            path.textContent = ancestors.map(node => node.data.name).join(' › ');
+
+            item.appendChild(name);
+            if (ancestors.length) item.appendChild(path);
+            this.searchResults.appendChild(item);
+        });
+
+        this.searchResults.hidden = false;
+        this.searchInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Appends text with matched characters wrapped in <mark>
+     * @private
+     */
+    appendHighlighted(element, text, indices) {
+        // Indices refer to normalized text; skip marking if lengths differ
+        if (!indices.length || normalizeText(text).length !== text.length) {
+            element.textContent = text;
+            return;
+        }
+
+        const matched = new Set(indices);
+        let buffer = '';
+        let inMark = false;
+
+        const flush = () => {
+            if (!buffer) return;
+            if (inMark) {
+                const mark = document.createElement('mark');
+                mark.textContent = buffer;
+                element.appendChild(mark);
+            } else {
+                element.appendChild(document.createTextNode(buffer));
+            }
+            buffer = '';
+        };
+
+        text.split('').forEach((char, i) => {
+            if (matched.has(i) !== inMark) {
+                flush();
+                inMark = matched.has(i);
+            }
+            buffer += char;
+        });
+        flush();
+    }
+
+    /**
+     * Handles keyboard navigation in the search box
+     * @private
+     */
+    handleSearchKeydown(event) {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.setActiveResult(this.activeResult + 1);
+                break;
+
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActiveResult(this.activeResult - 1);
+                break;
+
+            case 'Enter':
+                event.preventDefault();
+                this.selectResult(this.results[Math.max(this.activeResult, 0)]);
+                break;
+
+            case 'Escape':
+                event.preventDefault();
+                this.clearSearch();
+                break;
+        }
+    }
+
+    /**
+     * Moves the active result
+     * @private
+     */
+    setActiveResult(index) {
+        if (!this.results.length) return;
+
+        const count = this.results.length;
+        this.activeResult = (index + count) % count;
+
+        this.searchResults.querySelectorAll('.search-result').forEach((item, i) => {
+            const isActive = i === this.activeResult;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) {
+                this.searchInput.setAttribute('aria-activedescendant', item.id);
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        // Preview the active result on the wheel
+        this.parent.viz.highlightNodes([this.results[this.activeResult].node.data.id]);
+    }
+
+    /**
+     * Handles clicks on results
+     * @private
+     */
+    handleResultClick(event) {
+        const item = event.target.closest('.search-result');
+        if (!item) return;
+        this.selectResult(this.results[Number(item.dataset.index)]);
+    }
+
+    /**
+     * Selects a result and zooms to it
+     * @param {Object} result - Search result
+     */
+    async selectResult(result) {
+        if (!result) return;
+
+        this.searchInput.value = result.node.data.name;
+        this.hideResults();
+        this.parent.viz.highlightNodes(null);
+
+        const node = await this.parent.state.selectById(result.node.data.id);
+        if (node) {
+            this.parent.zoom.zoomToNode(node);
+        }
+
+        this.parent.emitEvent('search:select', {
+            node,
+            query: this.searchInput.value
+        });
+    }
+
+    /**
+     * Hides the results dropdown
+     * @private
+     */
+    hideResults() {
+        if (!this.searchResults) return;
+        this.searchResults.hidden = true;
+        this.searchInput.setAttribute('aria-expanded', 'false');
+        this.searchInput.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Clears the search and highlights
+     */
+    clearSearch() {
+        if (!this.searchInput) return;
+        this.searchInput.value = '';
+        this.results = [];
+        this.searchResults.innerHTML = '';
+        this.hideResults();
+        this.parent.viz.highlightNodes(null);
+    }
+
     /**
      * Creates zoom control buttons
      * @private
@@ -129,6 +430,79 @@ export class Controls {
         this.container.appendChild(additionalGroup);
     }
 
+    /**
+     * Creates export buttons with resolution and extent options
+     * @private
+     */
+    createExportControls() {
+        const exportGroup = createElement('div', {
+            className: 'control-group export-controls',
+            role: 'group',
+            'aria-label': 'Export image'
+        });
+
+        this.exportExtent = createElement('select', {
+            className: 'export-extent',
+            'aria-label': 'Export area'
+        });
+        [['view', 'Current view'], ['full', 'Full wheel']].forEach(([value, label]) => {
+            const option = createElement('option', { value });
+            option.textContent = label;
+            this.exportExtent.appendChild(option);
+        });
+
+        this.exportScale = createElement('select', {
+            className: 'export-scale',
+            'aria-label': 'PNG resolution'
+        });
+        (this.config.export.scales || [1]).forEach(scale => {
+            const option = createElement('option', { value: scale });
+            option.textContent = `${scale}x`;
+            this.exportScale.appendChild(option);
+        });
+
+        const svgBtn = createElement('button', {
+            className: 'control-btn export-svg',
+            title: 'Export SVG',
+            'aria-label': 'Export SVG'
+        });
+        svgBtn.textContent = 'SVG';
+        svgBtn.addEventListener('click', () => this.handleExport('svg'));
+
+        const pngBtn = createElement('button', {
+            className: 'control-btn export-png',
+            title: 'Export PNG',
+            'aria-label': 'Export PNG'
+        });
+        pngBtn.textContent = 'PNG';
+        pngBtn.addEventListener('click', () => this.handleExport('png'));
+
+        // SVG export needs the SVG renderer
+        svgBtn.disabled = this.parent.viz.isCanvas;
+
+        exportGroup.appendChild(this.exportExtent);
+        exportGroup.appendChild(this.exportScale);
+        exportGroup.appendChild(svgBtn);
+        exportGroup.appendChild(pngBtn);
+        this.container.appendChild(exportGroup);
+    }
+
+    /**
+     * Handles export buttons
+     * @private
+     */
+    async handleExport(format) {
+        try {
+            await this.parent.downloadExport(format, {
+                extent: this.exportExtent.value,
+                scale: Number(this.exportScale.value)
+            });
+        } catch (error) {
+            // ExportManager has reported these through export:error
+            if (!(error instanceof ExportError)) throw error;
+        }
+    }
+
     /**
      * Sets up keyboard controls
      * @private
@@ -286,6 +660,11 @@ export class Controls {
         // Remove keyboard listener
         document.removeEventListener('keydown', this.handleKeyboard);
 
+        if (this.minimap) {
+            this.minimap.destroy();
+            this.minimap = null;
+        }
+
         // Remove container
         if (this.container) {
             this.container.remove();
@@ -293,6 +672,11 @@ export class Controls {
 
         // Clear state
         this.container = null;
+        this.searchInput = null;
+        this.searchResults = null;
+        this.exportExtent = null;
+        this.exportScale = null;
+        this.results = [];
         this.currentZoom = 1;
         this.isZooming = false;
     }
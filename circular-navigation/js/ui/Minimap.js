@@ -0,0 +1,280 @@
+/**
+ * Minimap
+ * Simplified overview of the wheel with the visible area as a draggable rectangle
+ */
+
+import * as d3 from '../lib/d3.min.js';
+import { createElement } from '../utils/dom.js';
+import { rafThrottle, debounce } from '../utils/performance.js';
+
+export class Minimap {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.element = null;
+        this.svg = null;
+        this.viewport = null;
+        this.dragOffset = null;
+
+        // Bind methods
+        this.render = rafThrottle(this.render.bind(this));
+        this.updateViewport = rafThrottle(this.updateViewport.bind(this));
+        this.handleResize = debounce(this.render, this.config.performance.debounceDelay);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+    }
+
+    /**
+     * Creates the minimap inside a controls container
+     * @param {HTMLElement} target - Element to append to
+     */
+    create(target) {
+        const size = this.config.minimap?.size || 140;
+
+        this.element = createElement('div', {
+            className: 'control-group minimap',
+            dataset: { id: `${this.parent.id}-minimap` }
+        });
+        this.element.style.width = `${size}px`;
+        this.element.style.height = `${size}px`;
+
+        this.svg = d3.select(this.element)
+            .append('svg')
+            .attr('class', 'minimap-svg')
+            .attr('tabindex', 0)
+            .attr('aria-label', 'Overview map, use arrow keys to pan');
+
+        this.svg.append('g').attr('class', 'minimap-links');
+        this.svg.append('g').attr('class', 'minimap-nodes');
+        this.viewport = this.svg.append('rect')
+            .attr('class', 'minimap-viewport');
+
+        const svgNode = this.svg.node();
+        svgNode.addEventListener('pointerdown', this.handlePointerDown);
+        svgNode.addEventListener('pointermove', this.handlePointerMove);
+        svgNode.addEventListener('pointerup', this.handlePointerUp);
+        svgNode.addEventListener('pointercancel', this.handlePointerUp);
+        svgNode.addEventListener('keydown', this.handleKeydown);
+
+        target.appendChild(this.element);
+
+        // Redraw on anything that moves nodes or the view
+        const state = this.parent.state;
+        state.on('selectedNodeChange', this.render);
+        state.on('dataChange', this.render);
+        state.on('viewRootChange', this.render);
+        this.parent.container.addEventListener(
+            `${this.parent.eventNamespace}:layout:change`, this.render);
+        this.parent.container.addEventListener(
+            `${this.parent.eventNamespace}:view:rotate`, this.render);
+        this.parent.container.addEventListener('zoom:update', this.updateViewport);
+        window.addEventListener('resize', this.handleResize);
+
+        this.render();
+    }
+
+    /**
+     * Gets the main SVG viewBox, which the minimap mirrors
+     * @private
+     */
+    getViewBox() {
+        const viewBox = this.parent.viz.svg?.node().viewBox.baseVal;
+        if (!viewBox || !viewBox.width) return null;
+        return viewBox;
+    }
+
+    /**
+     * Draws the simplified wheel
+     */
+    render() {
+        if (!this.svg) return;
+
+        const data = this.parent.state.getData();
+        const viewBox = this.getViewBox();
+        if (!data || !viewBox) return;
+
+        const viz = this.parent.viz;
+        const selectedNode = this.parent.state.getSelectedNode();
+        const path = new Set(selectedNode ? selectedNode.ancestors() : []);
+
+        this.svg.attr('viewBox', [viewBox.x, viewBox.y, viewBox.width, viewBox.height]);
+
+        const nodes = viz.isSunburst ?
+            this.parent.sunburst.layout(data) :
+            data.descendants().filter(d => d.depth <= 2);
+        const position = new Map(nodes.map(node => [node, viz.getNodePosition(node)]));
+
+        // Sunburst segments are drawn as arcs, radial links as straight lines
+        const links = this.svg.select('.minimap-links')
+            .selectAll('path')
+            .data(viz.isSunburst ? nodes : data.links().filter(link => link.target.depth <= 2));
+
+        links.exit().remove();
+        links.enter()
+            .append('path')
+            .merge(links)
+            .attr('class', d => viz.isSunburst ? 'minimap-segment' : 'minimap-link')
+            .classed('active', d => path.has(d.target || d))
+            .attr('d', d => {
+                if (viz.isSunburst) return this.parent.sunburst.arc(d);
+                const [x1, y1] = position.get(d.source);
+                const [x2, y2] = position.get(d.target);
+                return `M${x1},${y1}L${x2},${y2}`;
+            });
+
+        const radius = viewBox.width / 80;
+        const dots = this.svg.select('.minimap-nodes')
+            .selectAll('circle')
+            .data(viz.isSunburst ? [] : nodes, d => d.data.id);
+
+        dots.exit().remove();
+        dots.enter()
+            .append('circle')
+            .attr('class', 'minimap-node')
+            .merge(dots)
+            .classed('active', d => path.has(d))
+            .attr('cx', d => position.get(d)[0])
+            .attr('cy', d => position.get(d)[1])
+            .attr('r', d => radius * (d.depth === 0 ? 3 : d.depth === 1 ? 2 : 1));
+
+        this.updateViewport();
+    }
+
+    /**
+     * Positions the rectangle showing the visible area
+     */
+    updateViewport() {
+        const viewBox = this.getViewBox();
+        if (!this.viewport || !viewBox) return;
+
+        const { scale, translate: [tx, ty] } = this.parent.zoom.getCurrentTransform();
+
+        this.viewport
+            .attr('x', (viewBox.x - tx) / scale)
+            .attr('y', (viewBox.y - ty) / scale)
+            .attr('width', viewBox.width / scale)
+            .attr('height', viewBox.height / scale);
+    }
+
+    /**
+     * Pans the main view so a point is at its center
+     * @param {Array} point - Layout point [x, y]
+     */
+    panTo([x, y]) {
+        const viewBox = this.getViewBox();
+        if (!viewBox) return;
+
+        const { scale } = this.parent.zoom.getCurrentTransform();
+        const cx = viewBox.x + viewBox.width / 2;
+        const cy = viewBox.y + viewBox.height / 2;
+
+        this.parent.zoom.setTransform(scale, [cx - x * scale, cy - y * scale]);
+    }
+
+    /**
+     * Gets the center of the visible area in layout coordinates
+     * @private
+     */
+    getViewCenter() {
+        const x = Number(this.viewport.attr('x')) + Number(this.viewport.attr('width')) / 2;
+        const y = Number(this.viewport.attr('y')) + Number(this.viewport.attr('height')) / 2;
+        return [x, y];
+    }
+
+    /**
+     * Converts a pointer event to minimap coordinates
+     * @private
+     */
+    getPoint(event) {
+        const matrix = this.svg.node().getScreenCTM();
+        if (!matrix) return null;
+
+        const point = new DOMPoint(event.clientX, event.clientY)
+            .matrixTransform(matrix.inverse());
+        return [point.x, point.y];
+    }
+
+    /**
+     * Event handlers
+     * @private
+     */
+    handlePointerDown(event) {
+        const point = this.getPoint(event);
+        if (!point) return;
+
+        event.preventDefault();
+        this.svg.node().setPointerCapture(event.pointerId);
+        this.element.classList.add('is-dragging');
+
+        // Dragging the rectangle keeps the grab point under the pointer,
+        // clicking elsewhere jumps the view there
+        const [cx, cy] = this.getViewCenter();
+        this.dragOffset = event.target === this.viewport.node() ?
+            [point[0] - cx, point[1] - cy] :
+            [0, 0];
+
+        this.panTo([point[0] - this.dragOffset[0], point[1] - this.dragOffset[1]]);
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragOffset) return;
+
+        const point = this.getPoint(event);
+        if (!point) return;
+
+        this.panTo([point[0] - this.dragOffset[0], point[1] - this.dragOffset[1]]);
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragOffset) return;
+
+        this.dragOffset = null;
+        this.element.classList.remove('is-dragging');
+        if (this.svg.node().hasPointerCapture(event.pointerId)) {
+            this.svg.node().releasePointerCapture(event.pointerId);
+        }
+    }
+
+    handleKeydown(event) {
+        const steps = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        const step = steps[event.key];
+        if (!step) return;
+
+        event.preventDefault();
+        const [cx, cy] = this.getViewCenter();
+        const distance = Number(this.viewport.attr('width')) / 10;
+        this.panTo([cx + step[0] * distance, cy + step[1] * distance]);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        const state = this.parent.state;
+        state.off('selectedNodeChange', this.render);
+        state.off('dataChange', this.render);
+        state.off('viewRootChange', this.render);
+        this.parent.container.removeEventListener(
+            `${this.parent.eventNamespace}:layout:change`, this.render);
+        this.parent.container.removeEventListener(
+            `${this.parent.eventNamespace}:view:rotate`, this.render);
+        this.parent.container.removeEventListener('zoom:update', this.updateViewport);
+        window.removeEventListener('resize', this.handleResize);
+
+        if (this.element) {
+            this.element.remove();
+        }
+
+        this.element = null;
+        this.svg = null;
+        this.viewport = null;
+        this.dragOffset = null;
+    }
+}
@@ -4,14 +4,34 @@
  */
 
 import { createElement, getCSSVariable } from '../utils/dom.js';
+import { DEFAULT_CONFIG, validateConfig } from '../core/config.js';
+import { createSettingsFile, migrateSettingsFile } from '../core/migrations.js';
+import { cloneDeep, getPath, setPath } from '../utils/objects.js';
+import { SettingsError } from '../state/SettingsStore.js';
+
+// Change history entries kept for undo
+const HISTORY_LIMIT = 100;
 
 export class SettingsPanel {
     constructor(parent) {
         this.parent = parent;
         this.config = parent.config;
         this.panel = null;
+        this.toggleButton = null;
+        this.mountTarget = null;
         this.isVisible = false;
         this.controls = new Map();
+        this.controlRows = new Map();
+
+        // Change history, each entry a list of { path, from, to }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyButtons = null;
+        this.diffSummary = null;
+        this.importMessage = null;
+
+        // Bind methods
+        this.handleKeydown = this.handleKeydown.bind(this);
         
         // Settings definitions with validation and formatting
         this.settingsDefinitions = {
@@ -103,9 +123,17 @@ export class SettingsPanel {
      * Creates the settings panel
      */
     create() {
+        if (this.config.settings?.enabled === false) return;
+
+        this.mountTarget = this.resolveTarget();
+        const isContained = this.mountTarget === this.parent.container;
+
         // Create panel container
         this.panel = createElement('div', {
-            className: 'settings-panel',
+            className: `settings-panel ${isContained ? 'is-contained' : 'is-external'}`,
+            id: `${this.parent.id}-settings-panel`,
+            role: 'region',
+            'aria-label': 'Visualization settings',
             dataset: { id: `${this.parent.id}-settings` }
         });
 
@@ -113,6 +141,13 @@ export class SettingsPanel {
         const header = this.createHeader();
         this.panel.appendChild(header);
 
+        // Import previews and errors show between the header and the controls
+        this.importMessage = createElement('div', {
+            className: 'settings-import',
+            'aria-live': 'polite'
+        });
+        this.panel.appendChild(this.importMessage);
+
         // Create settings content
         const content = createElement('div', {
             className: 'settings-content'
@@ -122,10 +157,37 @@ export class SettingsPanel {
         this.generateSettingsContent(content);
 
         this.panel.appendChild(content);
-        document.body.appendChild(this.panel);
+
+        if (isContained) {
+            this.parent.container.classList.add('has-settings');
+        }
+        this.mountTarget.appendChild(this.panel);
+        this.panel.addEventListener('keydown', this.handleKeydown);
 
         // Create toggle button
         this.createToggleButton();
+        this.updateDiff();
+    }
+
+    /**
+     * Finds the element the panel mounts in
+     * settings.target may be an element or a selector; the instance
+     * container is used when it is unset or not found.
+     * @private
+     */
+    resolveTarget() {
+        const target = this.config.settings?.target;
+        if (!target) return this.parent.container;
+
+        const element = typeof target === 'string' ?
+            document.querySelector(target) :
+            target;
+
+        if (!(element instanceof HTMLElement)) {
+            console.error(`Settings target ${target} not found, using the container`);
+            return this.parent.container;
+        }
+        return element;
     }
 
     /**
@@ -162,8 +224,59 @@ export class SettingsPanel {
         actions.appendChild(exportBtn);
         actions.appendChild(importBtn);
 
+        // Publishing is limited to editors through config
+        if (this.config.persistence?.remote?.enabled) {
+            const publishBtn = createElement('button', {
+                className: 'settings-btn settings-publish'
+            });
+            publishBtn.textContent = '💾 Publish';
+            publishBtn.title = 'Save these settings as the site default';
+            publishBtn.addEventListener('click', () => this.publishSettings());
+            actions.appendChild(publishBtn);
+        }
+
+        // History and reset
+        const history = createElement('div', {
+            className: 'settings-history'
+        });
+
+        const undoBtn = createElement('button', {
+            className: 'settings-btn settings-undo',
+            title: 'Undo (Ctrl+Z)',
+            'aria-label': 'Undo'
+        });
+        undoBtn.textContent = '↶ Undo';
+        undoBtn.addEventListener('click', () => this.undo());
+
+        const redoBtn = createElement('button', {
+            className: 'settings-btn settings-redo',
+            title: 'Redo (Ctrl+Shift+Z)',
+            'aria-label': 'Redo'
+        });
+        redoBtn.textContent = '↷ Redo';
+        redoBtn.addEventListener('click', () => this.redo());
+
+        const resetBtn = createElement('button', {
+            className: 'settings-btn settings-reset-all',
+            title: 'Reset every setting to its default'
+        });
+        resetBtn.textContent = 'Reset all';
+        resetBtn.addEventListener('click', () => this.resetAll());
+
+        this.diffSummary = createElement('span', {
+            className: 'settings-diff-summary',
+            'aria-live': 'polite'
+        });
+
+        this.historyButtons = { undo: undoBtn, redo: redoBtn, reset: resetBtn };
+        history.appendChild(undoBtn);
+        history.appendChild(redoBtn);
+        history.appendChild(resetBtn);
+        history.appendChild(this.diffSummary);
+
         header.appendChild(title);
         header.appendChild(actions);
+        header.appendChild(history);
         return header;
     }
 
@@ -247,8 +360,24 @@ export class SettingsPanel {
         const input = this.createInput(path, value, definition);
         if (!input) return null;
 
+        // Per-field reset, shown while the value differs from its default
+        const resetBtn = createElement('button', {
+            className: 'settings-field-reset',
+            type: 'button',
+            title: 'Reset to default',
+            'aria-label': `Reset ${definition.label || this.formatLabel(key)} to default`
+        });
+        resetBtn.textContent = '↺';
+        resetBtn.addEventListener('click', () => this.resetField(path));
+
+        const defaultHint = createElement('div', {
+            className: 'settings-default-hint'
+        });
+
         control.appendChild(label);
         control.appendChild(input);
+        control.appendChild(resetBtn);
+        control.appendChild(defaultHint);
 
         // Add hint for number inputs
         if (definition.type === 'number') {
@@ -260,6 +389,7 @@ export class SettingsPanel {
         }
 
         this.controls.set(path, input);
+        this.controlRows.set(path, control);
         return control;
     }
 
@@ -307,14 +437,166 @@ export class SettingsPanel {
     handleSettingChange(path, value, type) {
         // Convert value based on type
         const processedValue = type === 'number' ? parseFloat(value) : value;
+        const previous = this.getConfigValue(this.config, path.split('.'));
+        if (previous === processedValue) return;
+
+        this.commit([{ path, from: previous, to: processedValue }]);
+    }
+
+    /**
+     * Applies changes as one undoable step
+     * @private
+     * @param {Array} changes - Items { path, from, to }
+     */
+    commit(changes) {
+        if (!changes.length) return;
+
+        this.undoStack.push(changes);
+        if (this.undoStack.length > HISTORY_LIMIT) this.undoStack.shift();
+        this.redoStack = [];
+
+        this.applyValues(changes.map(({ path, to }) => [path, to]));
+    }
 
-        // Update config
-        this.updateConfigValue(this.config, path.split('.'), processedValue);
+    /**
+     * Writes values to config and storage, then updates the wheel
+     * @private
+     * @param {Array} entries - Items [path, value]
+     */
+    applyValues(entries) {
+        entries.forEach(([path, value]) => {
+            this.updateConfigValue(this.config, path.split('.'), value);
+
+            // Only values the embed and published settings don't already
+            // give need saving; a reset to default may still be an override
+            if (value === this.parent.settingsStore.getBaseValue(path)) {
+                this.parent.settingsStore.remove(path);
+            } else {
+                this.parent.settingsStore.set(path, value);
+            }
+        });
+
+        this.updateControlValues();
+        this.updateDiff();
 
         // Update visualization
         this.parent.update(null, this.config);
     }
 
+    /**
+     * Reverts the last change
+     */
+    undo() {
+        const changes = this.undoStack.pop();
+        if (!changes) return;
+
+        this.redoStack.push(changes);
+        this.applyValues(changes.map(({ path, from }) => [path, from]));
+    }
+
+    /**
+     * Re-applies the last undone change
+     */
+    redo() {
+        const changes = this.redoStack.pop();
+        if (!changes) return;
+
+        this.undoStack.push(changes);
+        this.applyValues(changes.map(({ path, to }) => [path, to]));
+    }
+
+    /**
+     * Resets one setting to its default
+     * @param {string} path - Config path
+     */
+    resetField(path) {
+        const from = this.getConfigValue(this.config, path.split('.'));
+        const to = this.getDefaultValue(path);
+        if (from === to) return;
+
+        this.commit([{ path, from, to }]);
+    }
+
+    /**
+     * Resets every setting in the panel to its default
+     */
+    resetAll() {
+        this.commit(this.getModifiedPaths().map(path => ({
+            path,
+            from: this.getConfigValue(this.config, path.split('.')),
+            to: this.getDefaultValue(path)
+        })));
+    }
+
+    /**
+     * Gets the DEFAULT_CONFIG value for a setting
+     * @private
+     */
+    getDefaultValue(path) {
+        return getPath(DEFAULT_CONFIG, path);
+    }
+
+    /**
+     * Gets paths whose values differ from their defaults
+     * @returns {Array} Config paths
+     */
+    getModifiedPaths() {
+        return [...this.controls.keys()].filter(path =>
+            this.getConfigValue(this.config, path.split('.')) !== this.getDefaultValue(path)
+        );
+    }
+
+    /**
+     * Marks settings that differ from their defaults
+     * @private
+     */
+    updateDiff() {
+        const modified = new Set(this.getModifiedPaths());
+
+        this.controlRows.forEach((row, path) => {
+            const isModified = modified.has(path);
+            row.classList.toggle('is-modified', isModified);
+            row.querySelector('.settings-default-hint').textContent =
+                isModified ? `Default: ${this.getDefaultValue(path)}` : '';
+        });
+
+        if (this.diffSummary) {
+            this.diffSummary.textContent = modified.size ?
+                `${modified.size} changed from defaults` :
+                'All defaults';
+        }
+
+        if (this.historyButtons) {
+            this.historyButtons.undo.disabled = !this.undoStack.length;
+            this.historyButtons.redo.disabled = !this.redoStack.length;
+            this.historyButtons.reset.disabled = !modified.size;
+        }
+    }
+
+    /**
+     * Handles undo and redo shortcuts inside the panel
+     * @private
+     */
+    handleKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey)) return;
+
+        // Text fields keep the browser's own undo
+        const target = event.target;
+        if (target.isContentEditable || target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['color', 'range', 'checkbox', 'button'].includes(target.type))) {
+            return;
+        }
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+
     /**
      * Updates config value at path
      * @private
@@ -360,32 +642,52 @@ export class SettingsPanel {
      * @private
      */
     createToggleButton() {
-        const button = createElement('button', {
-            className: 'settings-toggle',
-            textContent: '⚙️'
+        this.toggleButton = createElement('button', {
+            className: this.panel.classList.contains('is-contained') ?
+                'settings-toggle is-contained' :
+                'settings-toggle is-external',
+            title: 'Settings',
+            'aria-label': 'Settings',
+            'aria-controls': this.panel.id,
+            'aria-expanded': 'false'
         });
+        this.toggleButton.textContent = '⚙️';
 
-        button.addEventListener('click', () => this.togglePanel());
-        document.body.appendChild(button);
+        this.toggleButton.addEventListener('click', () => this.togglePanel());
+        this.mountTarget.appendChild(this.toggleButton);
     }
 
     /**
      * Toggles panel visibility
      */
     togglePanel() {
+        if (!this.panel) return;
+
         this.isVisible = !this.isVisible;
         this.panel.classList.toggle('visible', this.isVisible);
+        this.toggleButton.setAttribute('aria-expanded', String(this.isVisible));
+    }
+
+    /**
+     * Gets the panel's current values
+     * @returns {Object} Path to value map
+     */
+    getPanelValues() {
+        const values = {};
+        this.controls.forEach((control, path) => {
+            const value = this.getConfigValue(this.config, path.split('.'));
+            if (value !== undefined) values[path] = value;
+        });
+        return values;
     }
 
     /**
      * Exports current settings
      */
     exportSettings() {
-        const settings = {
-            config: this.config,
-            timestamp: new Date().toISOString(),
-            version: '1.0'
-        };
+        const settings = createSettingsFile(this.getPanelValues(), {
+            postType: this.parent.postType
+        });
 
         const blob = new Blob(
             [JSON.stringify(settings, null, 2)],
@@ -420,20 +722,217 @@ export class SettingsPanel {
             const reader = new FileReader();
             reader.onload = (e) => {
                 try {
-                    const settings = JSON.parse(e.target.result);
-                    this.config = settings.config;
-                    this.parent.update(null, this.config);
-                    this.updateControlValues();
+                    this.showImportPreview(this.readSettingsFile(e.target.result));
                 } catch (error) {
-                    console.error('Failed to import settings:', error);
+                    this.showImportError(error);
                 }
             };
+            reader.onerror = () => this.showImportError(reader.error);
             reader.readAsText(file);
         });
 
         input.click();
     }
 
+    /**
+     * Works out what importing a settings file would change
+     * Older formats are migrated first. Values that fail validation are
+     * left out, as are paths the panel does not manage.
+     * @param {string} text - File contents
+     * @returns {Object} { changes, invalid, ignored, file }
+     * @throws {Error} When the file cannot be read or migrated
+     */
+    readSettingsFile(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        const file = migrateSettingsFile(parsed);
+        const entries = Object.entries(file.settings);
+        const ignored = entries
+            .filter(([path]) => !this.controls.has(path))
+            .map(([path]) => path);
+
+        // Validate the imported values in the context of the current config
+        const candidate = cloneDeep(this.config);
+        const known = entries.filter(([path]) => this.controls.has(path));
+        known.forEach(([path, value]) => setPath(candidate, path, value));
+        const invalid = validateConfig(candidate, this.config)
+            .filter(error => known.some(([path]) => path === error.path));
+        const invalidPaths = new Set(invalid.map(error => error.path));
+
+        const changes = known
+            .filter(([path]) => !invalidPaths.has(path))
+            .map(([path, to]) => ({
+                path,
+                from: this.getConfigValue(this.config, path.split('.')),
+                to
+            }))
+            .filter(({ from, to }) => from !== to);
+
+        return { changes, invalid, ignored, file };
+    }
+
+    /**
+     * Shows what an import will change and waits for confirmation
+     * @private
+     * @param {Object} result - From readSettingsFile
+     */
+    showImportPreview({ changes, invalid, ignored, file }) {
+        if (!this.importMessage) return;
+        this.clearImportMessage();
+
+        const preview = createElement('div', {
+            className: 'settings-import-preview'
+        });
+
+        const title = createElement('h3', {
+            className: 'settings-import-title'
+        });
+        title.textContent = changes.length ?
+            `Import will change ${changes.length} setting${changes.length === 1 ? '' : 's'}` :
+            'Import changes nothing';
+        preview.appendChild(title);
+
+        if (file.postType && file.postType !== this.parent.postType) {
+            preview.appendChild(this.createImportNote(
+                `Exported from "${file.postType}", importing into "${this.parent.postType}"`
+            ));
+        }
+
+        if (changes.length) {
+            const list = createElement('ul', {
+                className: 'settings-import-changes'
+            });
+            changes.forEach(({ path, from, to }) => {
+                const item = createElement('li');
+                item.textContent = `${path}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`;
+                list.appendChild(item);
+            });
+            preview.appendChild(list);
+        }
+
+        if (invalid.length) {
+            const list = createElement('ul', {
+                className: 'settings-import-invalid'
+            });
+            invalid.forEach(error => {
+                const item = createElement('li');
+                item.textContent = `Skipped ${error.path}: must be ${error.expected}, ` +
+                    `got ${JSON.stringify(error.value)}`;
+                list.appendChild(item);
+            });
+            preview.appendChild(list);
+        }
+
+        if (ignored.length) {
+            preview.appendChild(this.createImportNote(
+                `Ignored ${ignored.length} setting${ignored.length === 1 ? '' : 's'} ` +
+                'this panel does not manage'
+            ));
+        }
+
+        const controls = createElement('div', {
+            className: 'settings-preview-controls'
+        });
+
+        const applyBtn = createElement('button', {
+            className: 'settings-btn apply-preview'
+        });
+        applyBtn.textContent = 'Apply';
+        applyBtn.disabled = !changes.length;
+        applyBtn.addEventListener('click', () => {
+            this.clearImportMessage();
+            this.commit(changes);
+            this.parent.emitEvent('settings:import', { changes, invalid, ignored });
+        });
+
+        const cancelBtn = createElement('button', {
+            className: 'settings-btn cancel-preview'
+        });
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => this.clearImportMessage());
+
+        controls.appendChild(applyBtn);
+        controls.appendChild(cancelBtn);
+        preview.appendChild(controls);
+
+        this.importMessage.appendChild(preview);
+        (changes.length ? applyBtn : cancelBtn).focus();
+    }
+
+    /**
+     * Creates a line of explanatory text for the import preview
+     * @private
+     */
+    createImportNote(text) {
+        const note = createElement('p', {
+            className: 'settings-import-note'
+        });
+        note.textContent = text;
+        return note;
+    }
+
+    /**
+     * Shows why an import failed
+     * @private
+     * @param {Error} error - Read, parse or migration error
+     */
+    showImportError(error) {
+        console.error('Failed to import settings:', error);
+        this.parent.emitEvent('settings:import-error', { error });
+
+        if (!this.importMessage) return;
+        this.clearImportMessage();
+
+        const message = createElement('div', {
+            className: 'settings-import-error',
+            role: 'alert'
+        });
+        message.textContent = `Import failed: ${error?.message || error}`;
+
+        const dismissBtn = createElement('button', {
+            className: 'settings-btn',
+            'aria-label': 'Dismiss'
+        });
+        dismissBtn.textContent = '×';
+        dismissBtn.addEventListener('click', () => this.clearImportMessage());
+        message.appendChild(dismissBtn);
+
+        this.importMessage.appendChild(message);
+    }
+
+    /**
+     * Removes any import preview or error
+     * @private
+     */
+    clearImportMessage() {
+        if (this.importMessage) {
+            this.importMessage.replaceChildren();
+        }
+    }
+
+    /**
+     * Publishes the panel's current values as the site default
+     * @returns {Promise<void>}
+     */
+    async publishSettings() {
+        const values = this.getPanelValues();
+
+        this.panel.classList.add('is-saving');
+        try {
+            await this.parent.settingsStore.publish(values);
+        } catch (error) {
+            // SettingsStore has reported these through settings:error
+            if (!(error instanceof SettingsError)) throw error;
+        } finally {
+            this.panel.classList.remove('is-saving');
+        }
+    }
+
     /**
      * Updates control values from config
      * @private
@@ -462,12 +961,24 @@ export class SettingsPanel {
      */
     destroy() {
         if (this.panel) {
+            this.panel.removeEventListener('keydown', this.handleKeydown);
             this.panel.remove();
         }
-        const toggleButton = document.querySelector('.settings-toggle');
-        if (toggleButton) {
-            toggleButton.remove();
+        if (this.toggleButton) {
+            this.toggleButton.remove();
         }
+        this.parent.container.classList.remove('has-settings');
+
+        this.panel = null;
+        this.toggleButton = null;
+        this.mountTarget = null;
+        this.isVisible = false;
         this.controls.clear();
+        this.controlRows.clear();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyButtons = null;
+        this.diffSummary = null;
+        this.importMessage = null;
     }
 }
\ No newline at end of file
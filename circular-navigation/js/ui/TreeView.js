@@ -0,0 +1,340 @@
+/**
+ * Tree View
+ * Accessible ARIA tree mirroring the visualization, also usable as a list fallback
+ */
+
+import { createElement } from '../utils/dom.js';
+
+export class TreeView {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.container = null;
+        this.tree = null;
+        this.toggleButton = null;
+        this.items = new Map();
+        this.expanded = new Set();
+        this.focusedId = null;
+        this.isVisible = false;
+
+        // Bind methods
+        this.render = this.render.bind(this);
+        this.syncSelection = this.syncSelection.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.toggle = this.toggle.bind(this);
+    }
+
+    /**
+     * Creates the tree view
+     */
+    create() {
+        const options = this.config.treeView || {};
+        if (options.enabled === false) return;
+
+        this.container = createElement('div', {
+            className: 'circular-nav-tree',
+            dataset: { id: `${this.parent.id}-tree` }
+        });
+
+        if (options.toggle !== false) {
+            this.toggleButton = createElement('button', {
+                type: 'button',
+                className: 'tree-toggle',
+                'aria-controls': `${this.parent.id}-tree-list`,
+                'aria-pressed': 'false'
+            });
+            this.toggleButton.addEventListener('click', this.toggle);
+            this.container.appendChild(this.toggleButton);
+        }
+
+        this.tree = createElement('ul', {
+            className: 'tree-root',
+            id: `${this.parent.id}-tree-list`,
+            role: 'tree',
+            'aria-label': 'Navigation tree'
+        });
+        this.tree.addEventListener('click', this.handleClick);
+        this.tree.addEventListener('keydown', this.handleKeydown);
+        this.container.appendChild(this.tree);
+
+        this.parent.container.appendChild(this.container);
+
+        this.setVisible(!!options.visible);
+        this.render();
+
+        this.parent.state.on('dataChange', this.render);
+        this.parent.state.on('selectedNodeChange', this.syncSelection);
+    }
+
+    /**
+     * Renders the tree for the full hierarchy
+     */
+    render() {
+        if (!this.tree) return;
+
+        const root = this.parent.state.getFullData();
+        this.tree.innerHTML = '';
+        this.items.clear();
+        if (!root) return;
+
+        if (this.expanded.size === 0) {
+            this.expanded.add(String(root.data.id));
+        }
+
+        this.tree.appendChild(this.createItem(root, 1, 1, 1));
+
+        // Single tab stop in the tree
+        this.focusedId = this.focusedId && this.items.has(this.focusedId) ?
+            this.focusedId :
+            String(root.data.id);
+        this.syncSelection();
+    }
+
+    /**
+     * Creates a treeitem and its group recursively
+     * @private
+     */
+    createItem(node, level, posinset, setsize) {
+        const id = String(node.data.id);
+        const hasChildren = !!node.children?.length;
+
+        const item = createElement('li', {
+            className: 'tree-item',
+            id: `${this.parent.id}-tree-${id}`,
+            role: 'treeitem',
+            tabindex: '-1',
+            'aria-level': level,
+            'aria-posinset': posinset,
+            'aria-setsize': setsize,
+            'aria-selected': 'false',
+            dataset: { nodeId: id }
+        });
+
+        const label = createElement('span', { className: 'tree-label' });
+        label.textContent = node.data.name;
+        item.appendChild(label);
+
+        if (hasChildren) {
+            const isExpanded = this.expanded.has(id);
+            item.setAttribute('aria-expanded', String(isExpanded));
+
+            const group = createElement('ul', {
+                className: 'tree-group',
+                role: 'group'
+            });
+            group.hidden = !isExpanded;
+
+            node.children.forEach((child, i) => {
+                group.appendChild(
+                    this.createItem(child, level + 1, i + 1, node.children.length)
+                );
+            });
+            item.appendChild(group);
+        }
+
+        this.items.set(id, { element: item, node });
+        return item;
+    }
+
+    /**
+     * Mirrors the state selection in the tree
+     * @private
+     */
+    syncSelection() {
+        if (!this.tree) return;
+
+        const selected = this.parent.state.getSelectedNode();
+        const selectedId = selected ? String(selected.data.id) : null;
+
+        this.items.forEach(({ element }, id) => {
+            element.setAttribute('aria-selected', String(id === selectedId));
+        });
+
+        if (selectedId && this.items.has(selectedId)) {
+            // Reveal the selected item
+            this.items.get(selectedId).node.ancestors().slice(1)
+                .forEach(ancestor => this.setExpanded(String(ancestor.data.id), true));
+            this.focusedId = selectedId;
+        }
+
+        this.updateTabStop();
+    }
+
+    /**
+     * Keeps exactly one focusable item
+     * @private
+     */
+    updateTabStop() {
+        this.items.forEach(({ element }, id) => {
+            element.setAttribute('tabindex', id === this.focusedId ? '0' : '-1');
+        });
+    }
+
+    /**
+     * Expands or collapses an item
+     * @private
+     */
+    setExpanded(id, isExpanded) {
+        const entry = this.items.get(id);
+        if (!entry || !entry.node.children?.length) return;
+
+        if (isExpanded) {
+            this.expanded.add(id);
+        } else {
+            this.expanded.delete(id);
+        }
+
+        entry.element.setAttribute('aria-expanded', String(isExpanded));
+        entry.element.querySelector(':scope > .tree-group').hidden = !isExpanded;
+    }
+
+    /**
+     * Gets visible items in document order
+     * @private
+     */
+    getVisibleItems() {
+        return Array.from(this.tree.querySelectorAll('[role="treeitem"]'))
+            .filter(item => !item.closest('.tree-group[hidden]'));
+    }
+
+    /**
+     * Moves focus to an item
+     * @private
+     */
+    focusItem(element) {
+        if (!element) return;
+        this.focusedId = element.dataset.nodeId;
+        this.updateTabStop();
+        element.focus();
+    }
+
+    /**
+     * Selects the node for an item in the visualization
+     * @private
+     */
+    activate(id) {
+        if (this.parent.state.isTransitioning()) return;
+        this.parent.state.selectById(id);
+    }
+
+    /**
+     * Handles clicks on items
+     * @private
+     */
+    handleClick(event) {
+        const item = event.target.closest('[role="treeitem"]');
+        if (!item) return;
+        event.stopPropagation();
+
+        const id = item.dataset.nodeId;
+        if (item.hasAttribute('aria-expanded') && event.target.closest('.tree-label')) {
+            this.setExpanded(id, item.getAttribute('aria-expanded') !== 'true');
+        }
+
+        this.focusItem(item);
+        this.activate(id);
+    }
+
+    /**
+     * Handles tree keyboard interaction (WAI-ARIA tree pattern)
+     * @private
+     */
+    handleKeydown(event) {
+        const item = event.target.closest('[role="treeitem"]');
+        if (!item) return;
+
+        const id = item.dataset.nodeId;
+        const visible = this.getVisibleItems();
+        const index = visible.indexOf(item);
+        const isExpanded = item.getAttribute('aria-expanded') === 'true';
+
+        switch (event.key) {
+            case 'ArrowDown':
+                this.focusItem(visible[index + 1]);
+                break;
+
+            case 'ArrowUp':
+                this.focusItem(visible[index - 1]);
+                break;
+
+            case 'ArrowRight':
+                if (item.hasAttribute('aria-expanded') && !isExpanded) {
+                    this.setExpanded(id, true);
+                } else if (isExpanded) {
+                    this.focusItem(item.querySelector('[role="treeitem"]'));
+                }
+                break;
+
+            case 'ArrowLeft':
+                if (isExpanded) {
+                    this.setExpanded(id, false);
+                } else {
+                    this.focusItem(item.parentElement.closest('[role="treeitem"]'));
+                }
+                break;
+
+            case 'Home':
+                this.focusItem(visible[0]);
+                break;
+
+            case 'End':
+                this.focusItem(visible[visible.length - 1]);
+                break;
+
+            case 'Enter':
+            case ' ':
+                this.activate(id);
+                break;
+
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+    }
+
+    /**
+     * Toggles the visible list view
+     */
+    toggle() {
+        this.setVisible(!this.isVisible);
+    }
+
+    /**
+     * Shows the tree as a visible list or keeps it for screen readers only
+     * @param {boolean} isVisible - Whether the list view is shown
+     */
+    setVisible(isVisible) {
+        this.isVisible = isVisible;
+        this.tree.classList.toggle('visually-hidden', !isVisible);
+        this.parent.container.classList.toggle('show-tree-view', isVisible);
+
+        if (this.toggleButton) {
+            this.toggleButton.textContent = isVisible ? 'Show wheel' : 'Show list';
+            this.toggleButton.setAttribute('aria-pressed', String(isVisible));
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.parent.state) {
+            this.parent.state.off('dataChange', this.render);
+            this.parent.state.off('selectedNodeChange', this.syncSelection);
+        }
+
+        if (this.container) {
+            this.container.remove();
+        }
+        this.parent.container.classList.remove('show-tree-view');
+
+        this.items.clear();
+        this.expanded.clear();
+        this.container = null;
+        this.tree = null;
+        this.toggleButton = null;
+    }
+}
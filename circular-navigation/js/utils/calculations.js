@@ -5,12 +5,30 @@
 
 import * as d3 from 'circular-nav-d3';
 
+/**
+ * Angular allocation strategies for the two rendered rings
+ * - leaf: every outer item gets the same angle (leaf-less primaries count as one)
+ * - branch: every primary branch gets the same sector
+ * - weighted: sectors follow a numeric data field summed over outer items
+ */
+export const ALLOCATION_STRATEGIES = ['leaf', 'branch', 'weighted'];
+
+const DEFAULT_ALLOCATION = {
+    strategy: 'leaf',
+    weightField: 'weight',
+    branchGap: 0
+};
+
 /**
  * Processes hierarchical data for D3
  * @param {Object} data - Raw hierarchical data
+ * @param {Object} [allocation] - Angular allocation options
+ * @param {string} [allocation.strategy] - One of ALLOCATION_STRATEGIES
+ * @param {string} [allocation.weightField] - Data field used by 'weighted'
+ * @param {number} [allocation.branchGap] - Gap between primary sectors in radians
  * @returns {d3.hierarchy} Processed D3 hierarchy
  */
-export function processHierarchicalData(data) {
+export function processHierarchicalData(data, allocation = {}) {
     const root = d3.hierarchy(data);
     
     // Calculate tree layout
@@ -21,50 +39,101 @@ export function processHierarchicalData(data) {
     tree(root);
 
     // Process nodes at each depth
-    processDepthNodes(root);
+    processDepthNodes(root, { ...DEFAULT_ALLOCATION, ...allocation });
 
     return root;
 }
 
 /**
- * Processes nodes at different depths
+ * Assigns each primary branch a sector and spreads its children inside it
+ * Sectors are stored on nodes as { start, end } and node.x is the middle.
  * @private
  */
-function processDepthNodes(root) {
-    // Process depth-2 nodes (outer circle)
-    const depthTwoNodes = root.descendants().filter(d => d.depth === 2);
-    if (depthTwoNodes.length > 0) {
-        const angleStep = (2 * Math.PI) / depthTwoNodes.length;
-        depthTwoNodes.forEach((node, i) => {
-            node.x = i * angleStep;
-        });
-    }
+function processDepthNodes(root, allocation) {
+    const primaries = root.children || [];
+    root.sector = { start: 0, end: 2 * Math.PI };
+    if (!primaries.length) return;
 
-    // Process depth-1 nodes (inner circle)
-    const depthOneNodes = root.children || [];
-    depthOneNodes.forEach(node => {
-        if (node.children && node.children.length > 0) {
-            // Position based on children's average angle
-            const childAngles = node.children.map(child => child.x);
-            const avgAngle = calculateAverageAngle(childAngles);
-            node.x = avgAngle;
-        }
+    const strategy = ALLOCATION_STRATEGIES.includes(allocation.strategy) ?
+        allocation.strategy :
+        DEFAULT_ALLOCATION.strategy;
+    const getWeight = node => getNodeWeight(node, strategy, allocation.weightField);
+
+    // Gaps can never take more than half the circle
+    const gap = primaries.length > 1 ?
+        Math.min(Math.max(allocation.branchGap || 0, 0), Math.PI / primaries.length) :
+        0;
+    const available = 2 * Math.PI - gap * primaries.length;
+
+    const weights = primaries.map(getWeight);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let angle = gap / 2;
+
+    primaries.forEach((node, i) => {
+        const span = total > 0 ?
+            available * weights[i] / total :
+            available / primaries.length;
+
+        node.sector = { start: angle, end: angle + span };
+        node.x = angle + span / 2;
+        allocateChildren(node, strategy, allocation.weightField);
+
+        angle += span + gap;
     });
 }
 
 /**
- * Calculates average angle accounting for circular wrap
+ * Spreads depth-2 nodes across their parent's sector
  * @private
  */
-function calculateAverageAngle(angles) {
-    const minAngle = Math.min(...angles);
-    const maxAngle = Math.max(...angles);
-    
-    if (maxAngle - minAngle > Math.PI) {
-        // Handle wrap-around case
-        return (minAngle + maxAngle + 2 * Math.PI) / 2 % (2 * Math.PI);
+function allocateChildren(node, strategy, weightField) {
+    const children = node.children || [];
+    if (!children.length) return;
+
+    const weights = children.map(child =>
+        strategy === 'weighted' ? readWeight(child, weightField) : 1
+    );
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    const { start, end } = node.sector;
+    let angle = start;
+
+    children.forEach((child, i) => {
+        const span = total > 0 ?
+            (end - start) * weights[i] / total :
+            (end - start) / children.length;
+
+        child.sector = { start: angle, end: angle + span };
+        child.x = angle + span / 2;
+        angle += span;
+    });
+}
+
+/**
+ * Gets the relative size of a primary branch
+ * @private
+ */
+function getNodeWeight(node, strategy, weightField) {
+    switch (strategy) {
+        case 'branch':
+            return 1;
+
+        case 'weighted':
+            return node.children?.length ?
+                node.children.reduce((sum, child) => sum + readWeight(child, weightField), 0) :
+                readWeight(node, weightField);
+
+        default:
+            return Math.max(node.children?.length || 0, 1);
     }
-    return (minAngle + maxAngle) / 2;
+}
+
+/**
+ * Reads a non-negative weight from node data, defaulting to 1
+ * @private
+ */
+function readWeight(node, field) {
+    const value = Number(node.data[field]);
+    return Number.isFinite(value) && value >= 0 ? value : 1;
 }
 
 /**
@@ -80,6 +149,8 @@ export function project(angle, radius) {
     ];
 }
 
+let measureContext = null;
+
 /**
  * Calculates text width based on font size
  * @param {string} text - Text to measure
@@ -87,9 +158,9 @@ export function project(angle, radius) {
  * @returns {number} Approximate text width
  */
 export function calculateTextWidth(text, fontSize) {
-    // Approximate width using canvas
-    const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
+    // Approximate width using a shared canvas
+    measureContext = measureContext || document.createElement('canvas').getContext('2d');
+    const context = measureContext;
     context.font = `${fontSize}px Arial`;
     return context.measureText(text).width;
 }
@@ -34,6 +34,20 @@ export function createElement(tag, attributes = {}, styles = {}) {
     return element;
 }
 
+/**
+ * Escapes text for use in HTML strings
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Gets CSS variable value
  * @param {string} variable - CSS variable name
@@ -0,0 +1,109 @@
+/**
+ * Label Layout Utilities
+ * Collision resolution and fitting for labels placed around the wheel
+ */
+
+import { calculateTextWidth } from './calculations.js';
+
+/**
+ * Checks whether two boxes overlap
+ * @param {Object} a - Box { left, right, top, bottom }
+ * @param {Object} b - Box { left, right, top, bottom }
+ * @param {number} [padding] - Minimum space kept between boxes
+ * @returns {boolean} Whether the boxes overlap
+ */
+export function boxesOverlap(a, b, padding = 0) {
+    return a.left < b.right + padding &&
+           a.right + padding > b.left &&
+           a.top < b.bottom + padding &&
+           a.bottom + padding > b.top;
+}
+
+/**
+ * Gets the box of a label centered on a point
+ * @private
+ */
+function getBox(cx, cy, width, height) {
+    return {
+        left: cx - width / 2,
+        right: cx + width / 2,
+        top: cy - height / 2,
+        bottom: cy + height / 2
+    };
+}
+
+/**
+ * Places labels so that no two visible labels overlap
+ * Labels are placed in priority order at their preferred position, then
+ * nudged outward along their angle in steps. A label that still collides
+ * at the largest nudge is hidden, so lower priority labels give way first.
+ * @param {Array} labels - Items { id, angle, cx, cy, width, height, priority }
+ * @param {Object} [options]
+ * @param {number} [options.padding] - Minimum space between labels
+ * @param {number} [options.nudgeStep] - Radial distance per attempt
+ * @param {number} [options.maxNudge] - Largest radial nudge before hiding
+ * @returns {Map} Placement per id { cx, cy, offset, hidden, box }
+ */
+export function resolveLabelCollisions(labels, { padding = 2, nudgeStep = 8, maxNudge = 40 } = {}) {
+    const placements = new Map();
+    const placed = [];
+    const steps = nudgeStep > 0 ? Math.floor(maxNudge / nudgeStep) : 0;
+
+    const ordered = labels
+        .map((label, index) => ({ label, index }))
+        .sort((a, b) => b.label.priority - a.label.priority || a.index - b.index)
+        .map(({ label }) => label);
+
+    ordered.forEach(label => {
+        const dx = Math.cos(label.angle);
+        const dy = Math.sin(label.angle);
+        let placement = null;
+
+        for (let step = 0; step <= steps && !placement; step++) {
+            const offset = step * nudgeStep;
+            const cx = label.cx + dx * offset;
+            const cy = label.cy + dy * offset;
+            const box = getBox(cx, cy, label.width, label.height);
+
+            if (!placed.some(other => boxesOverlap(box, other, padding))) {
+                placement = { cx, cy, offset, hidden: false, box };
+            }
+        }
+
+        if (placement) {
+            placed.push(placement.box);
+        } else {
+            placement = { cx: label.cx, cy: label.cy, offset: 0, hidden: true, box: null };
+        }
+
+        placements.set(label.id, placement);
+    });
+
+    return placements;
+}
+
+/**
+ * Truncates text with an ellipsis so it fits a width
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {string} Text, truncated when needed (empty if nothing fits)
+ */
+export function truncateToWidth(text, maxWidth, fontSize) {
+    if (calculateTextWidth(text, fontSize) <= maxWidth) return text;
+
+    // Longest prefix that still fits with the ellipsis
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        const candidate = `${text.slice(0, mid).trimEnd()}…`;
+        if (calculateTextWidth(candidate, fontSize) <= maxWidth) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return low > 0 ? `${text.slice(0, low).trimEnd()}…` : '';
+}
@@ -0,0 +1,102 @@
+/**
+ * Object Utilities
+ * Path access and cloning for nested config objects
+ */
+
+// Keys that would reach Object.prototype when merged or set
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * Checks a key is safe to write into an object
+ * @param {string} key - Property name
+ * @returns {boolean} Whether the key cannot reach a prototype
+ */
+export function isSafeKey(key) {
+    return !UNSAFE_KEYS.has(key);
+}
+
+/**
+ * Checks for a plain object literal
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+export function isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Deep clones plain objects and arrays
+ * Functions, elements and other instances are kept by reference.
+ * @param {*} value - Value to clone
+ * @returns {*} Clone
+ */
+export function cloneDeep(value) {
+    if (Array.isArray(value)) return value.map(cloneDeep);
+    if (!isPlainObject(value)) return value;
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, cloneDeep(item)])
+    );
+}
+
+/**
+ * Gets a nested value
+ * @param {Object} obj - Source object
+ * @param {string|Array} path - Dot path or key list
+ * @returns {*} Value, or undefined when missing
+ */
+export function getPath(obj, path) {
+    const keys = Array.isArray(path) ? path : path.split('.');
+    return keys.reduce((current, key) => current?.[key], obj);
+}
+
+/**
+ * Sets a nested value, creating objects along the path
+ * @param {Object} obj - Target object
+ * @param {string|Array} path - Dot path or key list
+ * @param {*} value - Value to set
+ * @throws {Error} For paths through __proto__, constructor or prototype
+ */
+export function setPath(obj, path, value) {
+    const keys = Array.isArray(path) ? path : path.split('.');
+    if (!keys.every(isSafeKey)) {
+        throw new Error(`Refusing to set unsafe path ${keys.join('.')}`);
+    }
+    const last = keys[keys.length - 1];
+
+    const target = keys.slice(0, -1).reduce((current, key) => {
+        if (!isPlainObject(current[key])) current[key] = {};
+        return current[key];
+    }, obj);
+
+    target[last] = value;
+}
+
+/**
+ * Deep merges plain objects into a target
+ * Later sources win. Nested plain objects merge key by key, arrays and
+ * other values replace, and undefined values and prototype keys are skipped.
+ * @param {Object} target - Object merged into, modified in place
+ * @param {...Object} sources - Objects to merge
+ * @returns {Object} Target
+ */
+export function deepMerge(target, ...sources) {
+    sources.forEach(source => {
+        if (!isPlainObject(source)) return;
+
+        Object.entries(source).forEach(([key, value]) => {
+            if (value === undefined || !isSafeKey(key)) return;
+
+            if (isPlainObject(value)) {
+                if (!isPlainObject(target[key])) target[key] = {};
+                deepMerge(target[key], value);
+            } else {
+                target[key] = cloneDeep(value);
+            }
+        });
+    });
+
+    return target;
+}
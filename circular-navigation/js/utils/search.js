@@ -0,0 +1,108 @@
+/**
+ * Search Utilities
+ * Fuzzy matching over hierarchy nodes
+ */
+
+/**
+ * Normalizes text for matching (case and diacritics)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Fuzzy matches a query against text
+ * Characters must appear in order; consecutive runs, word starts and
+ * exact substrings score higher.
+ * @param {string} query - Search query
+ * @param {string} text - Text to match against
+ * @returns {Object|null} { score, indices } or null when not matched
+ */
+export function fuzzyMatch(query, text) {
+    const q = normalizeText(query).trim();
+    const t = normalizeText(text);
+    if (!q || !t) return null;
+
+    // Exact substring is the best case
+    const substringIndex = t.indexOf(q);
+    if (substringIndex !== -1) {
+        const atWordStart = substringIndex === 0 || /\W/.test(t[substringIndex - 1]);
+        return {
+            score: 100 + (atWordStart ? 20 : 0) - substringIndex * 0.1,
+            indices: Array.from({ length: q.length }, (_, i) => substringIndex + i)
+        };
+    }
+
+    const indices = [];
+    let score = 0;
+    let lastIndex = -1;
+    let textIndex = 0;
+
+    for (const char of q) {
+        if (char === ' ') continue;
+
+        while (textIndex < t.length && t[textIndex] !== char) {
+            textIndex++;
+        }
+        if (textIndex >= t.length) return null;
+
+        score += 1;
+        if (textIndex === lastIndex + 1) score += 3;
+        if (textIndex === 0 || /\W/.test(t[textIndex - 1])) score += 2;
+
+        indices.push(textIndex);
+        lastIndex = textIndex;
+        textIndex++;
+    }
+
+    // Penalize matches spread across long text
+    const spread = indices[indices.length - 1] - indices[0] + 1;
+    score -= (spread - indices.length) * 0.2;
+
+    return { score, indices };
+}
+
+/**
+ * Searches all nodes of a hierarchy
+ * @param {Object} root - d3 hierarchy root
+ * @param {string} query - Search query
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExcerpts] - Also match data.excerpt
+ * @param {number} [options.limit] - Maximum results
+ * @returns {Array} Sorted results { node, score, indices, field }
+ */
+export function searchHierarchy(root, query, { includeExcerpts = false, limit = Infinity } = {}) {
+    if (!root || !normalizeText(query).trim()) return [];
+
+    const results = [];
+
+    root.each(node => {
+        const nameMatch = fuzzyMatch(query, node.data.name);
+        if (nameMatch) {
+            results.push({ node, field: 'name', ...nameMatch });
+            return;
+        }
+
+        if (includeExcerpts && node.data.excerpt) {
+            const excerptMatch = fuzzyMatch(query, node.data.excerpt);
+            // Excerpt hits rank below any name hit of similar quality
+            if (excerptMatch) {
+                results.push({
+                    node,
+                    field: 'excerpt',
+                    score: excerptMatch.score * 0.5,
+                    indices: []
+                });
+            }
+        }
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.node.depth - b.node.depth)
+        .slice(0, limit);
+}
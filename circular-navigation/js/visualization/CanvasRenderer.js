@@ -0,0 +1,748 @@
+/**
+ * Canvas Renderer
+ * Draws the wheel on a 2D canvas for large hierarchies, with hit-testing
+ * and an offscreen list of buttons for keyboard and screen reader users
+ */
+import * as d3 from '../lib/d3.min.js';
+import { createElement, getCSSVariable } from '../utils/dom.js';
+import { resolveLabelCollisions, truncateToWidth } from '../utils/labels.js';
+import { calculateTextWidth } from '../utils/calculations.js';
+import { rafThrottle } from '../utils/performance.js';
+
+export class CanvasRenderer {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.canvas = null;
+        this.context = null;
+        this.a11yRoot = null;
+        this.proxies = null;
+        this.proxyElements = new Map();
+
+        // Render state
+        this.nodes = [];
+        this.links = [];
+        this.labelPlacements = new Map();
+        this.hoveredNode = null;
+        this.focusedNode = null;
+        this.highlighted = null;
+        this.colorCache = new Map();
+
+        // Bind methods
+        this.draw = this.draw.bind(this);
+        this.scheduleDraw = rafThrottle(this.draw);
+        this.handleClick = this.handleClick.bind(this);
+        this.handlePointerMove = rafThrottle(this.handlePointerMove.bind(this));
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+    }
+
+    /**
+     * Creates the canvas and accessible proxies
+     */
+    async create() {
+        const data = this.parent.state.getData();
+        if (!data) return;
+
+        try {
+            const svg = this.parent.viz.svg.node();
+
+            this.canvas = createElement('canvas', {
+                className: 'circular-nav-canvas',
+                'aria-hidden': 'true'
+            });
+            svg.before(this.canvas);
+            this.context = this.canvas.getContext('2d');
+
+            this.a11yRoot = createElement('div', {
+                className: 'circular-nav-canvas-a11y visually-hidden',
+                role: 'group',
+                'aria-label': 'Navigation items'
+            });
+            svg.after(this.a11yRoot);
+            this.a11yRoot.addEventListener('focusin', this.handleFocusIn);
+            this.a11yRoot.addEventListener('focusout', this.handleFocusOut);
+
+            // The SVG stays on top to receive zoom gestures and pointer events
+            svg.addEventListener('click', this.handleClick);
+            svg.addEventListener('mousemove', this.handlePointerMove);
+            svg.addEventListener('mouseleave', this.handlePointerLeave);
+            this.parent.container.addEventListener('zoom:update', this.scheduleDraw);
+
+            this.render(data);
+            return true;
+        } catch (error) {
+            console.error('Canvas creation error:', error);
+            this.parent.emitEvent('canvas:error', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Rebuilds render state and redraws
+     * @param {Object} [data] - New hierarchy
+     */
+    async update(data) {
+        if (!this.canvas) return;
+
+        try {
+            this.colorCache.clear();
+            this.render(data || this.parent.state.getData());
+            return true;
+        } catch (error) {
+            console.error('Canvas update error:', error);
+            this.parent.emitEvent('canvas:error', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Computes geometry for the current layout and updates proxies
+     * @private
+     */
+    render(data) {
+        if (!data) return;
+
+        if (this.parent.viz.isSunburst) {
+            this.nodes = this.parent.sunburst.layout(data);
+            this.links = [];
+        } else {
+            this.nodes = data.descendants().filter(d => d.depth <= 2);
+            this.links = data.links().filter(link => link.target.depth <= 2);
+            this.layoutLabels();
+        }
+
+        this.updateProxies();
+        this.resize();
+        this.draw();
+    }
+
+    /**
+     * Matches the canvas backing store to the SVG
+     * @private
+     */
+    resize() {
+        const rect = this.parent.viz.svg.node().getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = Math.max(1, Math.round(rect.width * dpr));
+        this.canvas.height = Math.max(1, Math.round(rect.height * dpr));
+        this.canvas.style.width = `${rect.width}px`;
+        this.canvas.style.height = `${rect.height}px`;
+    }
+
+    /**
+     * Maps layout coordinates to canvas pixels
+     * The zoom container's screen matrix already includes the viewBox and
+     * zoom transform, so drawing stays aligned with SVG hit areas.
+     * @private
+     */
+    applyViewTransform() {
+        const matrix = this.parent.viz.zoomContainer.node().getScreenCTM();
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        if (!matrix) return false;
+
+        this.context.setTransform(
+            matrix.a * dpr, matrix.b * dpr,
+            matrix.c * dpr, matrix.d * dpr,
+            (matrix.e - rect.left) * dpr,
+            (matrix.f - rect.top) * dpr
+        );
+        return true;
+    }
+
+    /**
+     * Converts a pointer event to layout coordinates
+     * @private
+     */
+    getLayoutPoint(event) {
+        const matrix = this.parent.viz.zoomContainer.node().getScreenCTM();
+        if (!matrix) return null;
+
+        const point = new DOMPoint(event.clientX, event.clientY)
+            .matrixTransform(matrix.inverse());
+        return [point.x, point.y];
+    }
+
+    /**
+     * Resolves CSS variables used in color config
+     * @private
+     */
+    resolveColor(value) {
+        if (!value || !value.startsWith('var(')) return value;
+        if (this.colorCache.has(value)) return this.colorCache.get(value);
+
+        const [, name, fallback] = value.match(/var\(\s*(--[\w-]+)\s*(?:,\s*([^)]+))?\)/) || [];
+        const color = (name && getCSSVariable(name, this.parent.container)) ||
+            fallback?.trim() || '#999';
+        this.colorCache.set(value, color);
+        return color;
+    }
+
+    /**
+     * Draws the whole wheel
+     */
+    draw() {
+        if (!this.context || !this.canvas) return;
+
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.applyViewTransform()) return;
+
+        const selectedNode = this.parent.state.getSelectedNode();
+
+        if (this.parent.viz.isSunburst) {
+            this.drawSegments(selectedNode);
+        } else {
+            this.drawLinks(selectedNode);
+            this.drawIndicators(selectedNode);
+            this.drawLabels(selectedNode);
+            this.drawNodes(selectedNode);
+        }
+
+        if (this.focusedNode) {
+            this.drawFocusRing(this.focusedNode);
+        }
+    }
+
+    /**
+     * Gets the opacity for a node while search highlights are shown
+     * @private
+     */
+    getHighlightAlpha(node) {
+        if (!this.highlighted?.size) return 1;
+        return this.highlighted.has(String(node.data.id)) ? 1 : 0.35;
+    }
+
+    /**
+     * Draws links with the same styles as PathManager
+     * @private
+     */
+    drawLinks(selectedNode) {
+        const context = this.context;
+        const paths = this.parent.paths;
+
+        this.links.forEach(link => {
+            const opacity = selectedNode ?
+                paths.getPathOpacity(link, selectedNode) :
+                paths.getInitialOpacity(link);
+            if (!opacity) return;
+
+            const [x1, y1] = this.getNodePosition(link.source);
+            const [x2, y2] = this.getNodePosition(link.target);
+
+            context.globalAlpha = opacity;
+            context.strokeStyle = this.resolveColor(paths.getPathColor(link, selectedNode));
+            context.lineWidth = paths.getPathWidth(link, selectedNode) || 1;
+            context.setLineDash(paths.isSiblingPath(link, selectedNode) ? [5, 5] : []);
+            context.beginPath();
+            context.moveTo(x1, y1);
+            context.lineTo(x2, y2);
+            context.stroke();
+        });
+
+        context.setLineDash([]);
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Draws outer indicators
+     * @private
+     */
+    drawIndicators(selectedNode) {
+        const context = this.context;
+        const outer = this.parent.outer;
+        const radius = this.config.indicator.inner.radius;
+
+        this.nodes.filter(d => d.depth === 2).forEach(node => {
+            const [x, y] = this.getNodePosition(node);
+            const scale = node === this.hoveredNode ? 1.2 : 1;
+
+            context.globalAlpha = this.getHighlightAlpha(node);
+            context.fillStyle = this.resolveColor(outer.getIndicatorColor(node, selectedNode));
+            context.beginPath();
+            context.arc(x, y, radius * scale, 0, 2 * Math.PI);
+            context.fill();
+
+            if (outer.canDrillDown(node)) {
+                context.strokeStyle = this.resolveColor(this.config.colors.path.default);
+                context.lineWidth = 1.5;
+                context.stroke();
+            }
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Places outer labels with the shared collision pass
+     * @private
+     */
+    layoutLabels() {
+        // Only indicators show when zoomed far out
+        if (this.parent.zoom.getDetailLevel() === 'low') {
+            this.labelPlacements = new Map();
+            return;
+        }
+
+        const fontSize = this.parent.display.lastDimensions.text.secondary;
+        const maxWidth = this.parent.outer.collisionOptions.maxWidth;
+        const gap = this.config.indicator.outer.radius + 4;
+
+        const items = this.nodes.filter(d => d.depth === 2).map(node => {
+            const angle = this.parent.viz.getNodeAngle(node);
+            const text = truncateToWidth(
+                this.parent.zoom.getLabelText(node.data.name),
+                maxWidth,
+                fontSize
+            );
+            const width = calculateTextWidth(text, fontSize);
+            const height = fontSize * 1.2;
+            const [x, y] = this.getNodePosition(node);
+
+            // Push the box center out until its edge clears the indicator
+            const distance = gap +
+                Math.abs(Math.cos(angle)) * width / 2 +
+                Math.abs(Math.sin(angle)) * height / 2;
+
+            return {
+                id: node.data.id,
+                node,
+                text,
+                angle,
+                cx: x + Math.cos(angle) * distance,
+                cy: y + Math.sin(angle) * distance,
+                width,
+                height,
+                priority: this.parent.outer.getLabelPriority(node)
+            };
+        });
+
+        const placements = resolveLabelCollisions(items, this.parent.outer.collisionOptions);
+        this.labelPlacements = new Map(items.map(item => [
+            item.id,
+            { ...placements.get(item.id), text: item.text, width: item.width, height: item.height }
+        ]));
+    }
+
+    /**
+     * Draws outer labels
+     * @private
+     */
+    drawLabels(selectedNode) {
+        const context = this.context;
+        const outer = this.parent.outer;
+        const fontSize = this.parent.display.lastDimensions.text.secondary;
+
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+
+        this.nodes.filter(d => d.depth === 2).forEach(node => {
+            const placement = this.labelPlacements.get(node.data.id);
+            if (!placement || placement.hidden) return;
+
+            const isActive = outer.isActiveLabel(node, selectedNode) || node === this.hoveredNode;
+            context.globalAlpha = outer.getLabelOpacity(node, selectedNode) *
+                this.getHighlightAlpha(node);
+            context.font = `${isActive ? 600 : 400} ${fontSize}px Lato, sans-serif`;
+            context.fillStyle = this.resolveColor(isActive ?
+                'var(--primary-color)' :
+                this.config.colors.text.default);
+            context.fillText(placement.text, placement.cx, placement.cy);
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Gets the box drawn for a central or primary node
+     * @private
+     */
+    getNodeBox(node) {
+        const dimensions = this.parent.display.lastDimensions;
+        const [x, y] = this.getNodePosition(node);
+        const size = node.depth === 0 ?
+            { width: dimensions.nodes.central.width, height: dimensions.nodes.central.width } :
+            dimensions.nodes.primary;
+
+        return {
+            x,
+            y,
+            width: size.width,
+            height: size.height,
+            left: x - size.width / 2,
+            right: x + size.width / 2,
+            top: y - size.height / 2,
+            bottom: y + size.height / 2
+        };
+    }
+
+    /**
+     * Draws central and primary nodes
+     * @private
+     */
+    drawNodes(selectedNode) {
+        const context = this.context;
+        const nodeManager = this.parent.nodes;
+        const dimensions = this.parent.display.lastDimensions;
+
+        this.nodes.filter(d => d.depth < 2).forEach(node => {
+            const box = this.getNodeBox(node);
+            const scale = node === this.hoveredNode ? 1.1 : 1;
+            const width = box.width * scale;
+            const height = box.height * scale;
+            const border = nodeManager.getNodeBorderColor(node, selectedNode);
+
+            context.globalAlpha = this.getHighlightAlpha(node);
+            context.fillStyle = this.resolveColor(nodeManager.getNodeColor(node, selectedNode));
+            context.beginPath();
+            if (node.depth === 0) {
+                context.arc(box.x, box.y, width / 2, 0, 2 * Math.PI);
+            } else if (context.roundRect) {
+                context.roundRect(box.x - width / 2, box.y - height / 2, width, height, 8);
+            } else {
+                context.rect(box.x - width / 2, box.y - height / 2, width, height);
+            }
+            context.fill();
+
+            if (border !== 'none') {
+                context.strokeStyle = this.resolveColor(border);
+                context.lineWidth = 2;
+                context.stroke();
+            }
+
+            const fontSize = node.depth === 0 ? dimensions.text.central : dimensions.text.primary;
+            const name = node.depth === 0 && this.parent.state.canGoUp() ?
+                `↑ ${node.data.name}` :
+                node.data.name;
+
+            context.font = `${node.depth === 0 ? 700 : 400} ${fontSize}px Lato, sans-serif`;
+            context.fillStyle = this.resolveColor(nodeManager.getNodeTextColor(node, selectedNode));
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            context.fillText(
+                truncateToWidth(name, width - 8, fontSize),
+                box.x,
+                box.y
+            );
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Draws sunburst segments
+     * @private
+     */
+    drawSegments(selectedNode) {
+        const context = this.context;
+        const sunburst = this.parent.sunburst;
+        const dimensions = this.parent.display.lastDimensions;
+        const { padAngle, cornerRadius, minLabelAngle } = sunburst.options;
+        const arc = d3.arc()
+            .startAngle(d => d.x0)
+            .endAngle(d => d.x1)
+            .innerRadius(d => d.r0)
+            .outerRadius(d => d.r1)
+            .padAngle(padAngle)
+            .cornerRadius(cornerRadius)
+            .context(context);
+
+        this.nodes.forEach(node => {
+            const isFaded = sunburst.isFadedSegment(node, selectedNode);
+
+            context.globalAlpha = (isFaded ? 0.4 : 1) * this.getHighlightAlpha(node);
+            context.fillStyle = this.resolveColor(sunburst.getSegmentColor(node, selectedNode));
+            context.beginPath();
+            arc(node);
+            context.fill();
+
+            context.strokeStyle = node === selectedNode ?
+                this.resolveColor(this.config.colors.path.active) :
+                '#fff';
+            context.lineWidth = node === selectedNode ? 2 : 1;
+            context.stroke();
+
+            if (node.depth > 0 && node.x1 - node.x0 < minLabelAngle) return;
+            if (node.depth === 2 && this.parent.zoom.getDetailLevel() === 'low') return;
+
+            const fontSize = node.depth === 0 ? dimensions.text.central :
+                node.depth === 1 ? dimensions.text.primary : dimensions.text.secondary;
+            const [x, y] = sunburst.getNodePosition(node);
+            const midRadius = (node.r0 + node.r1) / 2;
+            const available = node.depth === 0 ?
+                node.r1 * 1.6 :
+                2 * midRadius * Math.sin(Math.min(node.x1 - node.x0, Math.PI) / 2);
+
+            context.font = `${node.depth === 0 ? 700 : 400} ${fontSize}px Lato, sans-serif`;
+            context.fillStyle = this.resolveColor(sunburst.isActiveSegment(node, selectedNode) ?
+                this.config.colors.text.active :
+                this.config.colors.text.default);
+            context.textAlign = 'center';
+            context.textBaseline = 'middle';
+            const label = this.parent.zoom.getLabelText(node.data.name);
+            context.fillText(truncateToWidth(label, available, fontSize), x, y);
+        });
+
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Draws the keyboard focus ring around a node
+     * @private
+     */
+    drawFocusRing(node) {
+        const context = this.context;
+        const [x, y] = this.getNodePosition(node);
+
+        context.strokeStyle = this.resolveColor('var(--primary-color)');
+        context.lineWidth = 2;
+        context.beginPath();
+
+        if (node.depth === 2 || this.parent.viz.isSunburst) {
+            context.arc(x, y, this.config.indicator.outer.radius + 4, 0, 2 * Math.PI);
+        } else {
+            const box = this.getNodeBox(node);
+            context.rect(box.left - 3, box.top - 3, box.width + 6, box.height + 6);
+        }
+        context.stroke();
+    }
+
+    /**
+     * Finds the node drawn under a layout point
+     * @param {Array} point - [x, y] in layout coordinates
+     * @returns {Object|null} Hierarchy node
+     */
+    hitTest([x, y]) {
+        if (this.parent.viz.isSunburst) {
+            const radius = Math.hypot(x, y);
+            const angle = Math.atan2(y, x) + Math.PI / 2;
+            const tau = 2 * Math.PI;
+            // Rotated segments may start below zero or past a full turn
+            return this.nodes.find(node =>
+                radius >= node.r0 && radius < node.r1 &&
+                (node.depth === 0 ||
+                    (((angle - node.x0) % tau) + tau) % tau < node.x1 - node.x0)
+            ) || null;
+        }
+
+        // Nodes are drawn on top, so they win
+        const hitNode = this.nodes.filter(d => d.depth < 2).reverse().find(node => {
+            const box = this.getNodeBox(node);
+            return x >= box.left && x <= box.right && y >= box.top && y <= box.bottom;
+        });
+        if (hitNode) return hitNode;
+
+        const hitRadius = this.config.indicator.outer.radius + 2;
+        return this.nodes.filter(d => d.depth === 2).find(node => {
+            const [nx, ny] = this.getNodePosition(node);
+            if (Math.hypot(x - nx, y - ny) <= hitRadius) return true;
+
+            const placement = this.labelPlacements.get(node.data.id);
+            return placement && !placement.hidden &&
+                Math.abs(x - placement.cx) <= placement.width / 2 &&
+                Math.abs(y - placement.cy) <= placement.height / 2;
+        }) || null;
+    }
+
+    /**
+     * Gets the layout position of a node
+     * @param {Object} node - Hierarchy node
+     * @returns {Array} [x, y] coordinates
+     */
+    getNodePosition(node) {
+        return this.parent.viz.isSunburst ?
+            this.parent.sunburst.getNodePosition(node) :
+            this.parent.nodes.getNodePosition(node);
+    }
+
+    /**
+     * Keeps one offscreen button per drawn node for assistive technology
+     * @private
+     */
+    updateProxies() {
+        const sunburst = this.parent.sunburst;
+
+        this.proxies = d3.select(this.a11yRoot)
+            .selectAll('button.canvas-node')
+            .data(this.nodes, d => d.data.id)
+            .join(
+                enter => enter.append('button')
+                    .attr('type', 'button')
+                    .attr('class', 'canvas-node')
+                    .attr('tabindex', -1)
+                    .on('click', (event, d) => this.activate(d, 'keyboard')),
+                update => update,
+                exit => exit.each(d => this.proxyElements.delete(d.data.id)).remove()
+            )
+            .attr('aria-label', d => sunburst.getSegmentLabel(d))
+            .text(d => d.data.name)
+            .each((d, i, elements) => {
+                this.proxyElements.set(d.data.id, d3.select(elements[i]));
+            });
+
+        this.updateProxyStates(this.parent.state.getSelectedNode());
+    }
+
+    /**
+     * Mirrors selection on the proxies
+     * @private
+     */
+    updateProxyStates(selectedNode) {
+        this.proxies?.attr('aria-current', d => d === selectedNode ? 'true' : null);
+    }
+
+    /**
+     * Gets the focusable proxy for a node
+     * @param {Object} node - Hierarchy node
+     * @returns {d3.Selection|undefined} Proxy button
+     */
+    getProxy(node) {
+        return this.proxyElements.get(node.data.id);
+    }
+
+    /**
+     * Re-lays out labels for a new zoom detail level
+     */
+    refreshLabels() {
+        if (!this.canvas || this.parent.viz.isSunburst) {
+            this.scheduleDraw();
+            return;
+        }
+        this.layoutLabels();
+        this.scheduleDraw();
+    }
+
+    /**
+     * Applies a new selection
+     * @param {Object} selectedNode - Currently selected node
+     */
+    async updateSelection(selectedNode) {
+        if (!this.canvas) return;
+
+        if (!this.parent.viz.isSunburst) {
+            // Label priorities follow the selection
+            this.layoutLabels();
+        }
+        this.updateProxyStates(selectedNode);
+        this.draw();
+    }
+
+    /**
+     * Marks nodes as highlighted
+     * @param {Set|null} ids - Highlighted node IDs, or null to clear
+     */
+    setHighlighted(ids) {
+        this.highlighted = ids;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Emits the shared click event
+     * @private
+     */
+    activate(node, source) {
+        if (this.parent.state.isTransitioning()) return;
+
+        this.parent.emitEvent('node:click', {
+            node,
+            type: source || (node.depth === 0 ? 'central' : node.depth === 1 ? 'primary' : 'outer'),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Event handlers
+     * @private
+     */
+    handleClick(event) {
+        const point = this.getLayoutPoint(event);
+        const node = point && this.hitTest(point);
+        if (!node) return;
+
+        event.stopPropagation();
+        this.activate(node);
+    }
+
+    handlePointerMove(event) {
+        if (this.parent.state.isTransitioning()) return;
+
+        const point = this.getLayoutPoint(event);
+        const node = point && this.hitTest(point);
+        if (node === this.hoveredNode) return;
+
+        const previous = this.hoveredNode;
+        this.hoveredNode = node;
+        this.parent.viz.svg.classed('is-over-node', !!node);
+        this.scheduleDraw();
+
+        if (previous) {
+            this.parent.emitEvent('outer:hover', { node: previous, isEnter: false, timestamp: Date.now() });
+        }
+        if (node) {
+            this.parent.emitEvent('outer:hover', { node, isEnter: true, timestamp: Date.now() });
+        }
+    }
+
+    handlePointerLeave() {
+        if (!this.hoveredNode) return;
+
+        this.parent.emitEvent('outer:hover', {
+            node: this.hoveredNode,
+            isEnter: false,
+            timestamp: Date.now()
+        });
+        this.hoveredNode = null;
+        this.parent.viz.svg?.classed('is-over-node', false);
+        this.scheduleDraw();
+    }
+
+    handleFocusIn(event) {
+        const proxy = event.target.closest('button.canvas-node');
+        this.focusedNode = proxy ? d3.select(proxy).datum() : null;
+        this.scheduleDraw();
+    }
+
+    handleFocusOut() {
+        this.focusedNode = null;
+        this.scheduleDraw();
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        const svg = this.parent.viz?.svg?.node();
+        if (svg) {
+            svg.removeEventListener('click', this.handleClick);
+            svg.removeEventListener('mousemove', this.handlePointerMove);
+            svg.removeEventListener('mouseleave', this.handlePointerLeave);
+        }
+        this.parent.container.removeEventListener('zoom:update', this.scheduleDraw);
+
+        if (this.a11yRoot) {
+            this.a11yRoot.removeEventListener('focusin', this.handleFocusIn);
+            this.a11yRoot.removeEventListener('focusout', this.handleFocusOut);
+            this.a11yRoot.remove();
+        }
+        if (this.canvas) {
+            this.canvas.remove();
+        }
+
+        this.canvas = null;
+        this.context = null;
+        this.a11yRoot = null;
+        this.proxies = null;
+        this.proxyElements.clear();
+        this.labelPlacements.clear();
+        this.colorCache.clear();
+        this.nodes = [];
+        this.links = [];
+        this.hoveredNode = null;
+        this.focusedNode = null;
+        this.highlighted = null;
+    }
+}
@@ -0,0 +1,427 @@
+/**
+ * Export Manager
+ * Serializes the wheel to standalone SVG and rasterizes it to PNG
+ */
+import { getCSSVariable } from '../utils/dom.js';
+import { truncateToWidth } from '../utils/labels.js';
+import { CSS_VARIABLES } from '../core/config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Presentation properties copied from computed styles onto exported elements
+const STYLE_PROPERTIES = [
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-opacity',
+    'stroke-width',
+    'stroke-dasharray',
+    'stroke-linecap',
+    'stroke-linejoin',
+    'opacity',
+    'visibility',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'font-style',
+    'text-anchor',
+    'dominant-baseline',
+    'letter-spacing'
+];
+
+/**
+ * Export failure that has already been reported through export:error
+ */
+export class ExportError extends Error {
+    /**
+     * @param {string} format - 'svg' or 'png'
+     * @param {Error} cause - Original error
+     */
+    constructor(format, cause) {
+        super(`${format.toUpperCase()} export failed: ${cause.message}`);
+        this.name = 'ExportError';
+        this.format = format;
+        this.cause = cause;
+    }
+}
+
+export class ExportManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+    }
+
+    /**
+     * Gets export options
+     */
+    get options() {
+        return {
+            scales: [1, 2, 4],
+            background: '#ffffff',
+            padding: 20,
+            filename: null,
+            ...this.config.export
+        };
+    }
+
+    /**
+     * Serializes the wheel as a standalone SVG document
+     * @param {Object} [options]
+     * @param {string} [options.extent] - 'view' for the current zoom and pan,
+     *     'full' for everything rendered
+     * @param {string|null} [options.background] - Background fill, null for none
+     * @returns {string} SVG markup
+     * @throws {ExportError} When serializing fails
+     */
+    exportSVG({ extent = 'view', background = this.options.background } = {}) {
+        const viz = this.parent.viz;
+        if (!viz.svg) {
+            throw new Error('Nothing to export before the visualization is created');
+        }
+        if (viz.isCanvas) {
+            throw new Error('SVG export is not available with the canvas renderer');
+        }
+
+        try {
+            const source = viz.svg.node();
+            const clone = source.cloneNode(true);
+
+            // Full extent drops the zoom and pan
+            if (extent === 'full') {
+                clone.querySelector('.zoom-container')?.removeAttribute('transform');
+            }
+
+            this.inlineStyles(source, clone);
+            this.convertForeignObjects(source, clone);
+            this.removeInteractiveAttributes(clone);
+
+            const box = this.getExportBox(extent);
+            clone.setAttribute('xmlns', SVG_NS);
+            clone.setAttribute('viewBox', [box.x, box.y, box.width, box.height].join(' '));
+            clone.setAttribute('width', box.outputWidth);
+            clone.setAttribute('height', box.outputHeight);
+            clone.setAttribute('style', this.getVariableDeclarations());
+
+            if (background) {
+                const rect = document.createElementNS(SVG_NS, 'rect');
+                rect.setAttribute('x', box.x);
+                rect.setAttribute('y', box.y);
+                rect.setAttribute('width', box.width);
+                rect.setAttribute('height', box.height);
+                rect.setAttribute('fill', background);
+                clone.insertBefore(rect, clone.firstChild);
+            }
+
+            const markup = new XMLSerializer().serializeToString(clone);
+            this.parent.emitEvent('export:complete', { format: 'svg', extent });
+            return `<?xml version="1.0" encoding="UTF-8"?>\n${markup}`;
+        } catch (error) {
+            console.error('SVG export error:', error);
+            this.parent.emitEvent('export:error', { format: 'svg', error });
+            throw new ExportError('svg', error);
+        }
+    }
+
+    /**
+     * Rasterizes the wheel to PNG
+     * @param {Object} [options]
+     * @param {number} [options.scale] - Resolution multiplier
+     * @param {string} [options.extent] - 'view' or 'full'
+     * @param {string|null} [options.background] - Background fill
+     * @returns {Promise<Blob>} PNG image
+     * @throws {ExportError} When rendering fails
+     */
+    async exportPNG({ scale = 1, extent = 'view', background = this.options.background } = {}) {
+        try {
+            let blob;
+
+            // The canvas renderer already holds a bitmap of the current view
+            if (this.parent.viz.isCanvas) {
+                blob = await this.rasterizeCanvas(this.parent.canvas.canvas, scale, background);
+            } else {
+                const markup = this.exportSVG({ extent, background });
+                blob = await this.rasterizeSVG(markup, scale);
+            }
+
+            this.parent.emitEvent('export:complete', { format: 'png', extent, scale });
+            return blob;
+        } catch (error) {
+            console.error('PNG export error:', error);
+            this.parent.emitEvent('export:error', { format: 'png', error });
+            throw new ExportError('png', error);
+        }
+    }
+
+    /**
+     * Exports and saves a file through the browser
+     * @param {string} format - 'svg' or 'png'
+     * @param {Object} [options] - Export options
+     * @returns {Promise<void>}
+     */
+    async download(format, options = {}) {
+        const blob = format === 'png' ?
+            await this.exportPNG(options) :
+            new Blob([this.exportSVG(options)], { type: 'image/svg+xml;charset=utf-8' });
+
+        const base = this.options.filename || `${this.parent.id}-${this.parent.postType}`;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${base}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Gets the exported area in layout units and output size in pixels
+     * @private
+     */
+    getExportBox(extent) {
+        const viz = this.parent.viz;
+        const svg = viz.svg.node();
+        const dpi = window.devicePixelRatio || 1;
+
+        if (extent === 'full') {
+            const { padding } = this.options;
+            const bbox = viz.zoomContainer.node().getBBox();
+            const box = {
+                x: bbox.x - padding,
+                y: bbox.y - padding,
+                width: bbox.width + padding * 2,
+                height: bbox.height + padding * 2
+            };
+            return { ...box, outputWidth: box.width / dpi, outputHeight: box.height / dpi };
+        }
+
+        const viewBox = svg.viewBox.baseVal;
+        return {
+            x: viewBox.x,
+            y: viewBox.y,
+            width: viewBox.width,
+            height: viewBox.height,
+            outputWidth: viewBox.width / dpi,
+            outputHeight: viewBox.height / dpi
+        };
+    }
+
+    /**
+     * Copies computed presentation styles, resolving CSS variables
+     * @private
+     */
+    inlineStyles(source, clone) {
+        const sourceElements = [source, ...source.querySelectorAll('*')];
+        const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+        sourceElements.forEach((element, i) => {
+            const target = cloneElements[i];
+            if (!(element instanceof SVGElement) || element.closest('foreignObject')) return;
+
+            const computed = getComputedStyle(element);
+            if (computed.display === 'none') {
+                target.setAttribute('display', 'none');
+                return;
+            }
+
+            target.removeAttribute('class');
+            target.setAttribute('style', STYLE_PROPERTIES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value && value !== 'normal' && value !== 'auto')
+                .map(([property, value]) => `${property}:${value}`)
+                .join(';'));
+        });
+    }
+
+    /**
+     * Declares the theme variables on the exported root
+     * @private
+     */
+    getVariableDeclarations() {
+        return CSS_VARIABLES
+            .map(name => [name, getCSSVariable(name, this.parent.container)])
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}:${value}`)
+            .join(';');
+    }
+
+    /**
+     * Replaces HTML labels with SVG shapes and text
+     * Each visible text block and box in a foreignObject is measured on
+     * screen and mapped back to the foreignObject's coordinates, so the
+     * export matches what is shown, including truncation.
+     * @private
+     */
+    convertForeignObjects(source, clone) {
+        const sourceObjects = [...source.querySelectorAll('foreignObject')];
+        const cloneObjects = [...clone.querySelectorAll('foreignObject')];
+
+        sourceObjects.forEach((foreignObject, i) => {
+            const group = document.createElementNS(SVG_NS, 'g');
+            const matrix = foreignObject.getScreenCTM();
+            const isVisible = foreignObject.getClientRects().length > 0 &&
+                getComputedStyle(foreignObject).display !== 'none';
+
+            if (matrix && isVisible) {
+                const inverse = matrix.inverse();
+                const unit = 1 / Math.hypot(matrix.a, matrix.b);
+                const toLocal = (x, y) => new DOMPoint(x, y).matrixTransform(inverse);
+
+                [...foreignObject.querySelectorAll('*')].forEach(element => {
+                    if (!element.getClientRects().length) return;
+                    const rect = element.getBoundingClientRect();
+                    const style = getComputedStyle(element);
+                    if (style.visibility === 'hidden' || style.display === 'none') return;
+
+                    const topLeft = toLocal(rect.left, rect.top);
+                    const width = rect.width * unit;
+                    const height = rect.height * unit;
+
+                    const box = this.createBox(style, topLeft, width, height, unit);
+                    if (box) group.appendChild(box);
+
+                    const text = this.createText(element, style, topLeft, width, height, unit);
+                    if (text) group.appendChild(text);
+                });
+            }
+
+            const transform = cloneObjects[i].getAttribute('transform');
+            if (transform) group.setAttribute('transform', transform);
+            cloneObjects[i].replaceWith(group);
+        });
+    }
+
+    /**
+     * Creates a rect for an HTML element with a background or border
+     * @private
+     */
+    createBox(style, topLeft, width, height, unit) {
+        const background = style.backgroundColor;
+        const borderWidth = parseFloat(style.borderTopWidth) || 0;
+        const hasBackground = background && background !== 'transparent' &&
+            !/rgba\(.*,\s*0\)$/.test(background);
+        if (!hasBackground && !borderWidth) return null;
+
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        const radius = Math.min((parseFloat(style.borderTopLeftRadius) || 0) * unit, width / 2, height / 2);
+        rect.setAttribute('x', topLeft.x);
+        rect.setAttribute('y', topLeft.y);
+        rect.setAttribute('width', width);
+        rect.setAttribute('height', height);
+        if (radius) rect.setAttribute('rx', radius);
+        rect.setAttribute('fill', hasBackground ? background : 'none');
+        if (borderWidth) {
+            rect.setAttribute('stroke', style.borderTopColor);
+            rect.setAttribute('stroke-width', borderWidth * unit);
+        }
+        if (style.opacity !== '1') rect.setAttribute('opacity', style.opacity);
+        return rect;
+    }
+
+    /**
+     * Creates a text element for an HTML element's own text
+     * @private
+     */
+    createText(element, style, topLeft, width, height, unit) {
+        const content = [...element.childNodes]
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent)
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+        if (!content) return null;
+
+        const fontSize = parseFloat(style.fontSize) * unit;
+        const text = document.createElementNS(SVG_NS, 'text');
+        const anchor = style.textAlign === 'left' || style.textAlign === 'start' ? 'start' :
+            style.textAlign === 'right' || style.textAlign === 'end' ? 'end' : 'middle';
+        const x = anchor === 'start' ? topLeft.x : anchor === 'end' ? topLeft.x + width : topLeft.x + width / 2;
+
+        text.setAttribute('x', x);
+        text.setAttribute('y', topLeft.y + height / 2);
+        text.setAttribute('text-anchor', anchor);
+        text.setAttribute('dominant-baseline', 'central');
+        text.setAttribute('fill', style.color);
+        text.setAttribute('font-family', style.fontFamily);
+        text.setAttribute('font-size', fontSize);
+        text.setAttribute('font-weight', style.fontWeight);
+        if (style.opacity !== '1') text.setAttribute('opacity', style.opacity);
+
+        // CSS ellipsis is not part of the text, so truncate to the box
+        text.textContent = truncateToWidth(content, width + 1, fontSize) || content;
+        return text;
+    }
+
+    /**
+     * Strips attributes that only matter to the live widget
+     * @private
+     */
+    removeInteractiveAttributes(clone) {
+        clone.querySelectorAll('[tabindex], [role], [aria-label], [aria-hidden]').forEach(element => {
+            ['tabindex', 'role', 'aria-label', 'aria-hidden'].forEach(name => {
+                element.removeAttribute(name);
+            });
+        });
+    }
+
+    /**
+     * Draws SVG markup onto a canvas
+     * @private
+     */
+    async rasterizeSVG(markup, scale) {
+        const url = URL.createObjectURL(
+            new Blob([markup], { type: 'image/svg+xml;charset=utf-8' })
+        );
+
+        try {
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            return await this.toBlob(canvas);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Copies the canvas renderer's bitmap at a resolution
+     * @private
+     */
+    async rasterizeCanvas(source, scale, background) {
+        const dpr = window.devicePixelRatio || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width / dpr * scale);
+        canvas.height = Math.round(source.height / dpr * scale);
+
+        const context = canvas.getContext('2d');
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+        return this.toBlob(canvas);
+    }
+
+    /**
+     * Encodes a canvas as PNG
+     * @private
+     */
+    toBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('PNG encoding failed'));
+                }
+            }, 'image/png');
+        });
+    }
+}
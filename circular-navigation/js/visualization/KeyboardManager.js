@@ -0,0 +1,289 @@
+/**
+ * Keyboard Manager
+ * Roving tabindex navigation across the central, primary and outer rings
+ */
+import * as d3 from '../lib/d3.min.js';
+
+export class KeyboardManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.focusedId = null;
+        this.typeahead = '';
+        this.typeaheadTimeout = null;
+        this.root = null;
+
+        // Bind methods
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleSelectionChange = this.handleSelectionChange.bind(this);
+    }
+
+    /**
+     * Attaches delegated listeners to the zoom container
+     * @param {d3.Selection} container - Zoom container
+     */
+    init(container) {
+        this.root = container.node();
+        this.root.addEventListener('keydown', this.handleKeydown);
+        this.root.addEventListener('focusin', this.handleFocusIn);
+        this.parent.state.on('selectedNodeChange', this.handleSelectionChange);
+        this.refresh();
+    }
+
+    /**
+     * Gets the rings of rendered nodes, each sorted clockwise
+     * @returns {Array<Array>} Nodes per depth
+     */
+    getRings() {
+        const data = this.parent.state.getData();
+        if (!data) return [];
+
+        const rings = [[data], [], []];
+        data.descendants().forEach(node => {
+            if (node.depth === 1 || node.depth === 2) {
+                rings[node.depth].push(node);
+            }
+        });
+
+        return rings
+            .map(ring => ring.slice().sort((a, b) => a.x - b.x))
+            .filter(ring => ring.length > 0);
+    }
+
+    /**
+     * Gets the focusable element for a node
+     * @private
+     */
+    getElement(node) {
+        return this.parent.viz.getNodeElement(node);
+    }
+
+    /**
+     * Finds a rendered node by ID
+     * @private
+     */
+    findNode(id) {
+        return this.getRings().flat()
+            .find(node => String(node.data.id) === String(id)) || null;
+    }
+
+    /**
+     * Resets tabindex so exactly one element is in the tab order
+     */
+    refresh() {
+        const rings = this.getRings();
+        if (!rings.length) return;
+
+        const current = this.focusedId !== null && this.findNode(this.focusedId);
+        const selected = this.parent.state.getSelectedNode();
+        const target = current ||
+            (selected && this.findNode(selected.data.id)) ||
+            rings[0][0];
+
+        this.focusedId = target.data.id;
+
+        rings.flat().forEach(node => {
+            const element = this.getElement(node);
+            if (element) {
+                element.setAttribute('tabindex', node === target ? '0' : '-1');
+            }
+        });
+
+        // Labels mirror indicators and stay out of the tab order
+        this.parent.outer.labels?.attr('tabindex', -1);
+    }
+
+    /**
+     * Moves focus to a node
+     * @param {Object} node - Target node
+     */
+    focusNode(node) {
+        if (!node) return;
+
+        const previous = this.focusedId !== null && this.findNode(this.focusedId);
+        const previousElement = previous && this.getElement(previous);
+        const element = this.getElement(node);
+        if (!element) return;
+
+        if (previousElement) previousElement.setAttribute('tabindex', '-1');
+        element.setAttribute('tabindex', '0');
+        this.focusedId = node.data.id;
+        element.focus();
+
+        this.parent.emitEvent('focus:change', { node });
+    }
+
+    /**
+     * Tracks focus moved by pointer or script
+     * @private
+     */
+    handleFocusIn(event) {
+        const node = this.getEventNode(event);
+        if (node && node.data.id !== this.focusedId) {
+            this.focusedId = node.data.id;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Follows selection so Tab returns to the selected node
+     * @private
+     */
+    handleSelectionChange({ newValue }) {
+        if (!newValue || !this.root) return;
+
+        const hasFocus = this.root.contains(document.activeElement);
+        const node = this.findNode(newValue.data.id);
+        if (!node) return;
+
+        if (hasFocus) {
+            this.focusNode(node);
+        } else {
+            this.focusedId = node.data.id;
+            this.refresh();
+        }
+    }
+
+    /**
+     * Gets the datum of the focusable element an event came from
+     * @private
+     */
+    getEventNode(event) {
+        const element = event.target.closest?.('g.node, g.indicator-group, g.segment, button.canvas-node');
+        return element ? d3.select(element).datum() : null;
+    }
+
+    /**
+     * Handles all keyboard interaction on the wheel
+     * @private
+     */
+    handleKeydown(event) {
+        const node = this.getEventNode(event);
+        if (!node || event.altKey || event.ctrlKey || event.metaKey) return;
+
+        const rings = this.getRings();
+        const ring = rings[node.depth] || [];
+        const index = ring.indexOf(node);
+        let target = null;
+
+        switch (event.key) {
+            case 'ArrowRight':
+                target = ring[(index + 1) % ring.length];
+                break;
+
+            case 'ArrowLeft':
+                target = ring[(index - 1 + ring.length) % ring.length];
+                break;
+
+            case 'ArrowUp':
+                target = node.parent;
+                break;
+
+            case 'ArrowDown':
+                target = this.getNearestChild(node);
+                break;
+
+            case 'Home':
+                target = ring[0];
+                break;
+
+            case 'End':
+                target = ring[ring.length - 1];
+                break;
+
+            case 'Enter':
+            case ' ':
+                event.preventDefault();
+                this.activate(node);
+                return;
+
+            default:
+                if (event.key.length === 1 && /\S/.test(event.key)) {
+                    target = this.handleTypeahead(event.key, node, rings);
+                    if (!target) return;
+                } else {
+                    return;
+                }
+        }
+
+        event.preventDefault();
+        this.focusNode(target);
+    }
+
+    /**
+     * Gets the child closest in angle to the node
+     * @private
+     */
+    getNearestChild(node) {
+        const children = node.children?.filter(child => this.getElement(child));
+        if (!children?.length) return null;
+
+        const angleTo = child => {
+            const diff = Math.abs(child.x - node.x) % (2 * Math.PI);
+            return Math.min(diff, 2 * Math.PI - diff);
+        };
+        return children.reduce((best, child) =>
+            angleTo(child) < angleTo(best) ? child : best
+        );
+    }
+
+    /**
+     * Finds the next node whose name starts with the typed characters
+     * @private
+     */
+    handleTypeahead(key, node, rings) {
+        clearTimeout(this.typeaheadTimeout);
+        this.typeahead += key.toLowerCase();
+        this.typeaheadTimeout = setTimeout(() => {
+            this.typeahead = '';
+        }, 500);
+
+        const ordered = rings.flat();
+        const start = ordered.indexOf(node);
+        // Repeating one character cycles through matches
+        const isRepeat = this.typeahead.split('').every(char => char === this.typeahead[0]);
+        const prefix = isRepeat ? this.typeahead[0] : this.typeahead;
+        const offset = isRepeat || this.typeahead.length === 1 ? 1 : 0;
+
+        for (let i = 0; i < ordered.length; i++) {
+            const candidate = ordered[(start + offset + i) % ordered.length];
+            if (candidate.data.name.toLowerCase().startsWith(prefix)) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Activates a node as if clicked
+     * @private
+     */
+    activate(node) {
+        if (this.parent.state.isTransitioning()) return;
+        this.parent.emitEvent('node:click', {
+            node,
+            type: 'keyboard',
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.typeaheadTimeout);
+
+        if (this.root) {
+            this.root.removeEventListener('keydown', this.handleKeydown);
+            this.root.removeEventListener('focusin', this.handleFocusIn);
+        }
+        if (this.parent.state) {
+            this.parent.state.off('selectedNodeChange', this.handleSelectionChange);
+        }
+
+        this.root = null;
+        this.focusedId = null;
+        this.typeahead = '';
+    }
+}
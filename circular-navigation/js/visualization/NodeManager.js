@@ -62,7 +62,8 @@ export class NodeManager {
             // Merge enter and existing
             this.nodes = enterNodes.merge(this.nodes);
 
-            // Initial positioning
+            // Initial sizing and positioning
+            this.updateNodeSizes();
             await this.updateNodePositions(true);
             
             return true;
@@ -78,60 +79,67 @@ export class NodeManager {
     /**
      * Creates node content using foreignObject
      * @private
+     * @param {d3.Selection} node - Node group
+     * @param {Object} d - Node data
      */
-    createNodeContent() {
-        // Create foreignObject containers
-        const foreignObjects = this.nodes
+    createNodeContent(node, d) {
+        // Create foreignObject container
+        const foreignObject = node
             .append('foreignObject')
-            .attr('class', d => `node-foreignObject ${d.depth === 0 ? 'central-node' : ''}`);
+            .attr('class', `node-foreignObject ${d.depth === 0 ? 'central-node' : ''}`);
 
-        // Create content divs
-        foreignObjects
+        // Create content div
+        const content = foreignObject
             .append('xhtml:div')
-            .attr('class', d => `node-content ${d.depth === 0 ? 'central' : ''}`)
+            .attr('class', `node-content ${d.depth === 0 ? 'central' : ''}`)
             .style('display', 'flex')
             .style('align-items', 'center')
             .style('justify-content', 'center')
             .style('text-align', 'center')
             .style('box-sizing', 'border-box')
-            .text(d => d.data.name);
-
-        // Set initial sizes
-        this.updateNodeSizes();
+            .text(d.data.name);
+
+        // Back up affordance when the wheel is re-rooted
+        if (d.depth === 0 && this.parent.state.canGoUp()) {
+            const parentNode = this.parent.state.getViewRootParent();
+            node.classed('can-go-up', true)
+                .attr('aria-label', `${d.data.name} - Back to ${parentNode.data.name}`);
+            content.style('flex-direction', 'column');
+            content.insert('xhtml:span', ':first-child')
+                .attr('class', 'node-back')
+                .attr('aria-hidden', 'true')
+                .text('↑');
+        }
     }
 
     /**
      * Sets up node interactions
      * @private
+     * @param {d3.Selection} node - Node group(s) to bind
      */
-    setupNodeInteractions() {
-        this.nodes
+    setupNodeInteractions(node = this.nodes) {
+        node
             // Click handling
             .on('click', (event, d) => {
                 event.stopPropagation();
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleNodeClick(d);
                 }
             })
             // Hover effects
             .on('mouseover', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleNodeHover(d, true);
                 }
             })
             .on('mouseout', (event, d) => {
-                if (!this.parent.state.isTransitioning) {
+                if (!this.parent.state.isTransitioning()) {
                     this.handleNodeHover(d, false);
                 }
             })
-            // Keyboard navigation
-            .attr('tabindex', 0)
-            .on('keydown', (event, d) => {
-                if (event.key === 'Enter' || event.key === ' ') {
-                    event.preventDefault();
-                    this.handleNodeClick(d);
-                }
-            });
+            // Keyboard navigation is handled by KeyboardManager
+            .attr('role', 'button')
+            .attr('tabindex', -1);
     }
 
     /**
@@ -197,6 +205,8 @@ export class NodeManager {
      * @param {Object} dimensions - Current dimensions
      */
     updateNodeSizes(dimensions = null) {
+        if (!this.nodes) return;
+
         if (!dimensions) {
             dimensions = this.parent.display.calculateDimensions();
         }
@@ -240,15 +250,23 @@ export class NodeManager {
     /**
      * Updates node positions
      */
-    updateNodePositions() {
-        this.nodes
-            .transition()
-            .duration(this.config.animation.duration)
-            .attr('transform', d => {
-                if (d.depth === 0) return 'translate(0,0)';
-                const [x, y] = this.calculateNodePosition(d);
-                return `translate(${x},${y})`;
-            });
+    updateNodePositions(duration = this.config.animation.duration) {
+        if (!this.nodes) return;
+
+        const position = d => {
+            if (d.depth === 0) return 'translate(0,0)';
+            const [x, y] = this.calculateNodePosition(d);
+            return `translate(${x},${y})`;
+        };
+
+        if (duration > 0) {
+            this.nodes
+                .transition()
+                .duration(duration)
+                .attr('transform', position);
+        } else {
+            this.nodes.interrupt().attr('transform', position);
+        }
     }
 
     /**
@@ -258,8 +276,8 @@ export class NodeManager {
     calculateNodePosition(node) {
         if (node.depth === 0) return [0, 0];
         
-        const angle = node.x - Math.PI / 2;
-        const radius = node.y;
+        const angle = this.parent.viz.getNodeAngle(node);
+        const radius = this.parent.viz.getNodeRadius(node);
         
         return [
             radius * Math.cos(angle),
@@ -267,16 +285,70 @@ export class NodeManager {
         ];
     }
 
+    /**
+     * Gets the rendered position of any node
+     * @param {Object} node - Hierarchy node
+     * @returns {Array} [x, y] coordinates
+     */
+    getNodePosition(node) {
+        if (node.depth >= 2) {
+            return this.parent.outer.getIndicatorPoint(node);
+        }
+        return this.calculateNodePosition(node);
+    }
+
+    /**
+     * Gets the rendered bounding box of a node
+     * Outer items include room for their label around the indicator.
+     * @param {Object} node - Hierarchy node
+     * @returns {Object} Box { left, right, top, bottom }
+     */
+    getNodeBounds(node) {
+        const [x, y] = this.getNodePosition(node);
+
+        if (node.depth >= 2) {
+            const r = this.config.indicator.outer.radius;
+            const box = { left: x - r, right: x + r, top: y - r, bottom: y + r };
+            const label = this.parent.outer.labelLayouts.get(node.data.id);
+            if (label) {
+                box.left = Math.min(box.left, label.x);
+                box.right = Math.max(box.right, label.x + label.width);
+                box.top = Math.min(box.top, label.y);
+                box.bottom = Math.max(box.bottom, label.y + label.height);
+            }
+            return box;
+        }
+
+        const sizes = this.parent.display.lastDimensions?.nodes || {};
+        const { width = 0, height = 0 } = (node.depth === 0 ? sizes.central : sizes.primary) || {};
+
+        return {
+            left: x - width / 2,
+            right: x + width / 2,
+            top: y - height / 2,
+            bottom: y + height / 2
+        };
+    }
+
+    /**
+     * Marks nodes as highlighted
+     * @param {Set|null} ids - Highlighted node IDs, or null to clear
+     */
+    setHighlighted(ids) {
+        if (!this.nodes) return;
+        this.nodes.classed('highlighted', d => !!ids?.has(String(d.data.id)));
+    }
+
     /**
      * Handles node click events
      * @private
      */
     handleNodeClick(node) {
-        const event = new CustomEvent('node:click', {
-            detail: { node },
-            bubbles: true
+        this.parent.emitEvent('node:click', {
+            node,
+            type: node.depth === 0 ? 'central' : 'primary',
+            timestamp: Date.now()
         });
-        this.parent.container.dispatchEvent(event);
     }
 
     /**
@@ -383,6 +455,7 @@ export class NodeManager {
 
         // Clear references
         this.nodes = null;
+        this.nodeElements.clear();
         this.activeTransitions.clear();
     }
 }
\ No newline at end of file
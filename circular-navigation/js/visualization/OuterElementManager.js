@@ -3,6 +3,10 @@
  * Handles creation, updating, and interaction of outer indicators and labels
  */
 import * as d3 from '../lib/d3.min.js';
+import { calculateTextWidth } from '../utils/calculations.js';
+import { resolveLabelCollisions, truncateToWidth } from '../utils/labels.js';
+import { rafThrottle } from '../utils/performance.js';
+import { escapeHTML } from '../utils/dom.js';
 
 export class OuterElementManager {
     constructor(parent) {
@@ -13,15 +17,54 @@ export class OuterElementManager {
         // Core elements
         this.indicators = null;
         this.labels = null;
+        this.leaders = null;
         
         // Element tracking
         this.indicatorElements = new Map();
         this.labelElements = new Map();
+        this.labelLayouts = new Map();
+        this.labelPlacements = new Map();
         
         // State tracking
         this.activeTransitions = new Map();
         this.isUpdating = false;
         this.hoveredElement = null;
+        this.zoomScale = 1;
+
+        // Bind methods
+        this.handleZoomUpdate = rafThrottle(this.handleZoomUpdate.bind(this));
+    }
+
+    /**
+     * Whether labels are drawn as text along the outer ring
+     */
+    get isArcMode() {
+        return this.config.text.outerLabels?.mode === 'arc';
+    }
+
+    /**
+     * Gets the element and selector used for labels in the current mode
+     * @private
+     */
+    get labelSelector() {
+        return this.isArcMode ? 'g.outer-arc-label' : 'foreignObject.outer-text-container';
+    }
+
+    /**
+     * Gets label collision options
+     * @private
+     */
+    get collisionOptions() {
+        return {
+            enabled: true,
+            fixedScreenSize: true,
+            padding: 2,
+            nudgeStep: 8,
+            maxNudge: 40,
+            maxWidth: 140,
+            leaderLines: true,
+            ...this.config.text.collision
+        };
     }
 
     /**
@@ -42,6 +85,12 @@ export class OuterElementManager {
                 .append('g')
                 .attr('class', 'outer-elements');
 
+            // Leader lines sit below indicators and labels
+            this.leaders = outerGroup
+                .append('g')
+                .attr('class', 'label-leaders')
+                .attr('aria-hidden', 'true');
+
             // Create elements
             await Promise.all([
                 this.createIndicators(outerGroup, outerNodes),
@@ -51,6 +100,11 @@ export class OuterElementManager {
             // Setup interactions
             this.setupInteractions();
 
+            // Keep labels apart now and whenever the zoom changes
+            this.zoomScale = this.parent.zoom.getCurrentTransform().scale;
+            this.layoutLabels();
+            this.parent.container.addEventListener('zoom:update', this.handleZoomUpdate);
+
             return true;
         } catch (error) {
             console.error('Outer element creation error:', error);
@@ -100,9 +154,10 @@ export class OuterElementManager {
 
         // Add ARIA attributes
         this.indicators
+            .classed('has-children', d => this.canDrillDown(d))
             .attr('role', 'button')
-            .attr('aria-label', d => `${d.data.name} indicator`)
-            .attr('tabindex', 0);
+            .attr('aria-label', d => this.getIndicatorLabel(d))
+            .attr('tabindex', -1);
     }
 
     /**
@@ -111,23 +166,16 @@ export class OuterElementManager {
      */
     async createLabels(container, nodes) {
         // Create label containers
-        this.labels = container.selectAll('foreignObject.outer-text-container')
+        const [tag, className] = this.labelSelector.split('.');
+        this.labels = container.selectAll(this.labelSelector)
             .data(nodes, d => d.data.id)
-            .join('foreignObject')
-            .attr('class', 'outer-text-container');
+            .join(tag)
+            .attr('class', className);
 
         // Calculate and set dimensions for each label
         nodes.forEach((node, i) => {
-            const labelData = this.calculateLabelLayout(node);
             const label = this.labels.filter(d => d === node);
-            
-            // Update container position and size
-            label
-                .attr('width', labelData.width)
-                .attr('height', labelData.height)
-                .attr('x', labelData.x)
-                .attr('y', labelData.y)
-                .html(d => this.createLabelContent(d, labelData));
+            this.renderLabel(label, node);
 
             // Store reference
             this.labelElements.set(node.data.id, label);
@@ -137,7 +185,7 @@ export class OuterElementManager {
         this.labels
             .attr('role', 'button')
             .attr('aria-label', d => `${d.data.name} - Click to select`)
-            .attr('tabindex', 0);
+            .attr('tabindex', -1);
     }
 
     /**
@@ -145,9 +193,30 @@ export class OuterElementManager {
      * @private
      */
     createLabelContent(node, layout) {
-        const fontSize = this.parent.display.lastDimensions.text.secondary;
+        const fontSize = this.getLabelFontSize();
         const dpi = window.devicePixelRatio || 1;
         
+        if (layout.details) {
+            return `
+                <div class="outer-text has-details" style="
+                    width: ${layout.width}px;
+                    height: ${layout.height}px;
+                    font-size: ${fontSize * dpi}px;
+                    line-height: ${fontSize * 1.2 * dpi}px;
+                    transform: scale(${1/dpi});
+                    transform-origin: center;
+                ">
+                    ${layout.details.thumbnail ?
+                        `<img class="outer-thumbnail" src="${escapeHTML(layout.details.thumbnail)}" alt="">` :
+                        ''}
+                    <div class="line-clamp-1">${escapeHTML(layout.text)}</div>
+                    ${layout.details.excerpt ?
+                        `<div class="outer-excerpt line-clamp-2">${escapeHTML(layout.details.excerpt)}</div>` :
+                        ''}
+                </div>
+            `;
+        }
+
         if (layout.type === 'single') {
             return `
                 <div class="outer-text" style="
@@ -158,7 +227,7 @@ export class OuterElementManager {
                     transform: scale(${1/dpi});
                     transform-origin: center;
                 ">
-                    <div class="line-clamp-1">${node.data.name}</div>
+                    <div class="line-clamp-1">${escapeHTML(layout.text)}</div>
                 </div>
             `;
         }
@@ -172,8 +241,8 @@ export class OuterElementManager {
                 transform: scale(${1/dpi});
                 transform-origin: center;
             ">
-                <div class="line-clamp-1">${layout.firstLine}</div>
-                <div class="line-clamp-1">${layout.secondLine}</div>
+                <div class="line-clamp-1">${escapeHTML(layout.firstLine)}</div>
+                <div class="line-clamp-1">${escapeHTML(layout.secondLine)}</div>
             </div>
         `;
     }
@@ -182,7 +251,7 @@ export class OuterElementManager {
      * @private
      */
 calculateLabelLayout(node) {
-    const text = node.data.name;
+    const text = this.parent.zoom.getLabelText(node.data.name);
     const words = text.split(' ');
     const totalLength = text.length;
     const wordCount = words.length;
@@ -191,7 +260,7 @@ calculateLabelLayout(node) {
     let layout = {
         type: 'single',
         text: text,
-        width: this.config.text.spacing.base,
+        width: this.getLabelWidth([text]),
         height: this.config.text.sizes.large.secondary * 1.5
     };
 
@@ -209,18 +278,34 @@ calculateLabelLayout(node) {
             midpoint -= 1;
         }
 
+        const firstLine = words.slice(0, midpoint).join(' ');
+        const secondLine = words.slice(midpoint).join(' ');
+
         layout = {
             type: 'double',
-            firstLine: words.slice(0, midpoint).join(' '),
-            secondLine: words.slice(midpoint).join(' '),
-            width: this.config.text.spacing.base,
+            firstLine,
+            secondLine,
+            width: this.getLabelWidth([firstLine, secondLine]),
             height: this.config.text.sizes.large.secondary * 2.5
         };
     }
 
-    // Calculate position
-    const angle = node.x;
-    const radius = node.y + this.config.indicator.outer.radius;
+    // Close zoom shows the excerpt and thumbnail under the full name
+    const { excerpt, thumbnail } = node.data;
+    if (this.parent.zoom.getDetailLevel() === 'high' && (excerpt || thumbnail)) {
+        const lineHeight = this.config.text.sizes.large.secondary * 1.2;
+        layout = {
+            type: 'single',
+            text,
+            details: { excerpt, thumbnail },
+            width: this.collisionOptions.maxWidth,
+            height: lineHeight * (excerpt ? 3.5 : 1.5) + (thumbnail ? 40 : 0)
+        };
+    }
+
+    // Calculate position (same angle origin as nodes and paths)
+    const angle = this.parent.viz.getNodeAngle(node);
+    const radius = this.parent.viz.getNodeRadius(node) + this.config.indicator.outer.radius;
     const position = this.calculateTextPosition(angle, radius, layout);
 
     return {
@@ -229,6 +314,276 @@ calculateLabelLayout(node) {
     };
 }
 
+/**
+ * Gets the rendered font size of outer labels
+ * @private
+ */
+getLabelFontSize() {
+    return this.parent.display.lastDimensions.text.secondary;
+}
+
+/**
+ * Measures the width needed by the longest line, within configured bounds
+ * @private
+ */
+getLabelWidth(lines) {
+    const fontSize = this.getLabelFontSize();
+    const measured = Math.max(...lines.map(line => calculateTextWidth(line, fontSize)));
+    return Math.ceil(Math.min(
+        Math.max(measured + 4, this.config.text.spacing.base),
+        this.collisionOptions.maxWidth
+    ));
+}
+
+/**
+ * Sizes a label and renders its content
+ * @private
+ */
+renderLabel(label, node) {
+    if (this.isArcMode) {
+        this.renderArcLabel(label, node);
+        return;
+    }
+
+    const labelData = this.calculateLabelLayout(node);
+    this.labelLayouts.set(node.data.id, labelData);
+
+    // Position comes from the transform applied by layoutLabels
+    label
+        .attr('width', labelData.width)
+        .attr('height', labelData.height)
+        .attr('x', 0)
+        .attr('y', 0)
+        .html(() => this.createLabelContent(node, labelData));
+}
+
+/**
+ * Renders a label as text along an arc of the outer ring
+ * Labels on the lower half run counterclockwise so they stay upright, and
+ * each label is limited to its own sector so arc labels never overlap.
+ * @private
+ */
+renderArcLabel(label, node) {
+    const fontSize = this.getLabelFontSize();
+    const { arcOffset, arcPadding } = {
+        arcOffset: 12,
+        arcPadding: 0.02,
+        ...this.config.text.outerLabels
+    };
+
+    const count = this.labels?.size() || 1;
+    const sector = node.sector || {
+        start: node.x - Math.PI / count,
+        end: node.x + Math.PI / count
+    };
+    const { rotation } = this.parent.viz;
+    const start = sector.start + rotation + Math.min(arcPadding, (sector.end - sector.start) / 4);
+    const end = sector.end + rotation - Math.min(arcPadding, (sector.end - sector.start) / 4);
+
+    // Lower half is flipped; move its baseline out so glyphs share the band
+    const isFlipped = Math.sin(this.parent.viz.getNodeAngle(node)) > 0;
+    const baseRadius = this.parent.viz.getNodeRadius(node) +
+        this.config.indicator.outer.radius + arcOffset;
+    const radius = isFlipped ? baseRadius + fontSize * 0.7 : baseRadius;
+
+    const point = angle => [
+        radius * Math.cos(angle - Math.PI / 2),
+        radius * Math.sin(angle - Math.PI / 2)
+    ];
+    const [from, to] = isFlipped ? [point(end), point(start)] : [point(start), point(end)];
+    const largeArc = end - start > Math.PI ? 1 : 0;
+    const sweep = isFlipped ? 0 : 1;
+
+    const pathId = `${this.parent.id}-arc-label-${String(node.data.id).replace(/[^\w-]/g, '_')}`;
+    const text = truncateToWidth(
+        this.parent.zoom.getLabelText(node.data.name),
+        radius * (end - start),
+        fontSize
+    );
+
+    label.selectAll('*').remove();
+    label.classed('is-flipped', isFlipped);
+
+    label.append('path')
+        .attr('id', pathId)
+        .attr('class', 'outer-arc-path')
+        .attr('d', `M${from[0]},${from[1]}A${radius},${radius} 0 ${largeArc} ${sweep} ${to[0]},${to[1]}`);
+
+    label.append('text')
+        .attr('class', 'outer-arc-text')
+        .style('font-size', `${fontSize}px`)
+        .append('textPath')
+        .attr('href', `#${pathId}`)
+        .attr('startOffset', '50%')
+        .attr('text-anchor', 'middle')
+        .text(text);
+
+    // Full name on hover when truncated
+    if (text !== node.data.name) {
+        label.append('title').text(node.data.name);
+    }
+}
+
+/**
+ * Re-measures all labels, e.g. after font sizes changed on resize
+ */
+refreshLabels() {
+    if (!this.labels) return;
+
+    this.labels.each((d, i, nodes) => {
+        this.renderLabel(d3.select(nodes[i]), d);
+    });
+    this.layoutLabels();
+}
+
+/**
+ * Places labels without overlaps
+ * Labels keep their on-screen size while zooming, so the available room
+ * changes with the zoom scale and the layout runs again on every zoom.
+ */
+layoutLabels() {
+    if (!this.labels) return;
+
+    // Arc labels are confined to their sectors and cannot collide
+    if (this.isArcMode) {
+        this.labelPlacements.clear();
+        this.leaders?.selectAll('*').remove();
+        return;
+    }
+
+    const options = this.collisionOptions;
+    const scale = options.fixedScreenSize ? 1 / this.zoomScale : 1;
+
+    const items = this.labels.data().map(node => {
+        const layout = this.labelLayouts.get(node.data.id);
+        const [ax, ay] = this.getIndicatorPoint(node);
+
+        // Distance from the indicator shrinks with the label
+        const cx = ax + (layout.x + layout.width / 2 - ax) * scale;
+        const cy = ay + (layout.y + layout.height / 2 - ay) * scale;
+
+        return {
+            id: node.data.id,
+            node,
+            angle: this.parent.viz.getNodeAngle(node),
+            cx,
+            cy,
+            width: layout.width * scale,
+            height: layout.height * scale,
+            priority: this.getLabelPriority(node)
+        };
+    });
+
+    this.labelPlacements = options.enabled ?
+        resolveLabelCollisions(items, {
+            padding: options.padding * scale,
+            nudgeStep: options.nudgeStep * scale,
+            maxNudge: options.maxNudge * scale
+        }) :
+        new Map(items.map(item => [item.id, {
+            cx: item.cx, cy: item.cy, offset: 0, hidden: false
+        }]));
+
+    this.labels.each((d, i, nodes) => {
+        const placement = this.labelPlacements.get(d.data.id);
+        d3.select(nodes[i])
+            .classed('collision-hidden', placement.hidden)
+            .attr('aria-hidden', placement.hidden ? 'true' : null);
+        this.applyLabelTransform(d);
+    });
+
+    this.updateLeaderLines(items, options, scale);
+}
+
+/**
+ * Positions a label at its placement, scaled around its center
+ * @private
+ */
+applyLabelTransform(node) {
+    const label = this.labelElements.get(node.data.id);
+    if (label && this.isArcMode) {
+        label.classed('hover', this.hoveredElement === node);
+        return;
+    }
+
+    const layout = this.labelLayouts.get(node.data.id);
+    const placement = this.labelPlacements.get(node.data.id);
+    if (!label || !layout || !placement) return;
+
+    const baseScale = this.collisionOptions.fixedScreenSize ? 1 / this.zoomScale : 1;
+    const scale = baseScale * (this.hoveredElement === node ? 1.1 : 1);
+    const x = placement.cx - layout.width * scale / 2;
+    const y = placement.cy - layout.height * scale / 2;
+
+    label.attr('transform', `translate(${x},${y}) scale(${scale})`);
+}
+
+/**
+ * Draws leader lines from indicators to nudged labels
+ * @private
+ */
+updateLeaderLines(items, options, scale) {
+    if (!this.leaders) return;
+
+    const lines = options.leaderLines ?
+        items.filter(item => {
+            const placement = this.labelPlacements.get(item.id);
+            return !placement.hidden && placement.offset > 0;
+        }) :
+        [];
+
+    this.leaders
+        .selectAll('line.label-leader')
+        .data(lines, d => d.id)
+        .join('line')
+        .attr('class', 'label-leader')
+        .each((d, i, nodes) => {
+            const { box } = this.labelPlacements.get(d.id);
+            const [ax, ay] = this.getIndicatorPoint(d.node);
+
+            // Closest point of the label box to the indicator
+            d3.select(nodes[i])
+                .attr('x1', ax)
+                .attr('y1', ay)
+                .attr('x2', Math.min(Math.max(ax, box.left), box.right))
+                .attr('y2', Math.min(Math.max(ay, box.top), box.bottom))
+                .style('stroke-width', scale);
+        });
+}
+
+/**
+ * Ranks labels so the selection and its branch win collisions
+ * @private
+ */
+getLabelPriority(node) {
+    const selectedNode = this.parent.state.getSelectedNode();
+    const span = node.sector ? node.sector.end - node.sector.start : 0;
+    let tier = 0;
+
+    if (node === selectedNode) {
+        tier = 3;
+    } else if (this.isActiveIndicator(node, selectedNode)) {
+        tier = 2;
+    } else if (this.labelElements.get(node.data.id)?.classed('highlighted')) {
+        tier = 1;
+    }
+
+    // Wider sectors win within a tier
+    return tier * 10 + span;
+}
+
+/**
+ * Follows zoom changes
+ * @private
+ */
+handleZoomUpdate(event) {
+    const scale = event.detail?.scale;
+    if (!scale || scale === this.zoomScale) return;
+
+    this.zoomScale = scale;
+    this.layoutLabels();
+}
+
 /**
  * Calculates text position
  * @private
@@ -262,13 +617,45 @@ calculateTextPosition(angle, radius, layout) {
  * @private
  */
 calculateIndicatorPosition(node) {
-    const angle = node.x;
-    const radius = node.y;
-    const x = radius * Math.cos(angle);
-    const y = radius * Math.sin(angle);
+    const [x, y] = this.getIndicatorPoint(node);
     return `translate(${x},${y})`;
 }
 
+/**
+ * Moves indicators to the current radius
+ */
+updateIndicatorPositions() {
+    if (!this.indicators) return;
+    this.indicators.attr('transform', d => this.calculateIndicatorPosition(d));
+}
+
+/**
+ * Gets indicator coordinates
+ * @param {Object} node - Depth-2 node
+ * @returns {Array} [x, y] coordinates
+ */
+getIndicatorPoint(node) {
+    const angle = this.parent.viz.getNodeAngle(node);
+    const radius = this.parent.viz.getNodeRadius(node);
+    return [
+        radius * Math.cos(angle),
+        radius * Math.sin(angle)
+    ];
+}
+
+/**
+ * Marks indicators and labels as highlighted
+ * @param {Set|null} ids - Highlighted node IDs, or null to clear
+ */
+setHighlighted(ids) {
+    const isHighlighted = d => !!ids?.has(String(d.data.id));
+    this.indicators?.classed('highlighted', isHighlighted);
+    this.labels?.classed('highlighted', isHighlighted);
+
+    // Highlighted labels get priority when space is short
+    this.layoutLabels();
+}
+
 /**
  * Sets up interactions
  * @private
@@ -278,31 +665,24 @@ setupInteractions() {
     this.indicators
         .on('click', (event, d) => {
             event.stopPropagation();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         })
         .on('mouseover', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, true);
             }
         })
         .on('mouseout', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, false);
             }
         })
-        .on('keydown', (event, d) => {
-            if (event.key === 'Enter' || event.key === ' ') {
-                event.preventDefault();
-                this.handleElementClick(d);
-            }
-            this.handleKeyboardNavigation(event, d);
-        })
         .on('touchstart', event => event.preventDefault())
         .on('touchend', (event, d) => {
             event.preventDefault();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         });
@@ -311,56 +691,22 @@ setupInteractions() {
     this.labels
         .on('click', (event, d) => {
             event.stopPropagation();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         })
         .on('mouseover', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, true);
             }
         })
         .on('mouseout', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, false);
             }
-        })
-        .on('keydown', (event, d) => {
-            if (event.key === 'Enter' || event.key === ' ') {
-                event.preventDefault();
-                this.handleElementClick(d);
-            }
-            this.handleKeyboardNavigation(event, d);
         });
 }
 
-/**
- * Handles keyboard navigation
- * @private
- */
-handleKeyboardNavigation(event, node) {
-    const nodes = this.indicators.data();
-    const currentIndex = nodes.indexOf(node);
-    let nextIndex;
-
-    switch (event.key) {
-        case 'ArrowRight':
-            nextIndex = (currentIndex + 1) % nodes.length;
-            break;
-        case 'ArrowLeft':
-            nextIndex = (currentIndex - 1 + nodes.length) % nodes.length;
-            break;
-        default:
-            return;
-    }
-
-    event.preventDefault();
-    const nextElement = this.indicatorElements.get(nodes[nextIndex].data.id);
-    if (nextElement) {
-        nextElement.node().focus();
-    }
-}
-
 /**
  * Updates for selection changes
  */
@@ -370,6 +716,9 @@ async updateForSelection(selectedNode) {
     try {
         this.isUpdating = true;
 
+        // Selected branch labels get priority when space is short
+        this.layoutLabels();
+
         await Promise.all([
             this.updateIndicatorStates(selectedNode),
             this.updateLabelStates(selectedNode)
@@ -392,27 +741,25 @@ async updateForSelection(selectedNode) {
  */
 async updateIndicatorStates(selectedNode) {
     const transitions = this.indicators.nodes().map((node, i) => {
-        return new Promise(resolve => {
-            const indicator = d3.select(node);
-            const data = this.indicators.data()[i];
-            
-            const isActive = this.isActiveIndicator(data, selectedNode);
-            const shouldPulse = this.shouldPulse(data, selectedNode);
-
-            const transition = indicator.select('.outer-indicator')
-                .classed('active', isActive)
-                .classed('pulse', shouldPulse)
-                .transition()
-                .duration(this.config.animation.duration)
-                .style('fill', this.getIndicatorColor(data, selectedNode));
-
-            this.parent.viz.trackTransition(
-                transition,
-                `indicator-${data.data.id}`
-            );
+        const indicator = d3.select(node);
+        const data = this.indicators.data()[i];
+        
+        const isActive = this.isActiveIndicator(data, selectedNode);
+        const shouldPulse = this.shouldPulse(data, selectedNode);
 
-            transition.on('end', resolve);
-        });
+        const transition = indicator.select('.outer-indicator')
+            .classed('active', isActive)
+            .classed('pulse', shouldPulse)
+            .transition()
+            .duration(this.config.animation.duration)
+            .style('fill', this.getIndicatorColor(data, selectedNode));
+
+        this.parent.viz.trackTransition(
+            transition,
+            `indicator-${data.data.id}`
+        );
+
+        return transition.end().catch(() => {});
     });
 
     await Promise.all(transitions);
@@ -424,27 +771,25 @@ async updateIndicatorStates(selectedNode) {
  */
 async updateLabelStates(selectedNode) {
     const transitions = this.labels.nodes().map((node, i) => {
-        return new Promise(resolve => {
-            const label = d3.select(node);
-            const data = this.labels.data()[i];
-            
-            const isActive = this.isActiveLabel(data, selectedNode);
-            const isFaded = this.isFadedLabel(data, selectedNode);
-
-            const transition = label
-                .classed('active', isActive)
-                .classed('faded', isFaded)
-                .transition()
-                .duration(this.config.animation.duration)
-                .style('opacity', this.getLabelOpacity(data, selectedNode));
-
-            this.parent.viz.trackTransition(
-                transition,
-                `label-${data.data.id}`
-            );
+        const label = d3.select(node);
+        const data = this.labels.data()[i];
+        
+        const isActive = this.isActiveLabel(data, selectedNode);
+        const isFaded = this.isFadedLabel(data, selectedNode);
 
-            transition.on('end', resolve);
-        });
+        const transition = label
+            .classed('active', isActive)
+            .classed('faded', isFaded)
+            .transition()
+            .duration(this.config.animation.duration)
+            .style('opacity', this.getLabelOpacity(data, selectedNode));
+
+        this.parent.viz.trackTransition(
+            transition,
+            `label-${data.data.id}`
+        );
+
+        return transition.end().catch(() => {});
     });
 
     await Promise.all(transitions);
@@ -501,6 +846,19 @@ getLabelOpacity(node, selectedNode) {
     return 1;
 }
 
+/**
+ * Whether clicking the item re-roots the wheel on it
+ */
+canDrillDown(node) {
+    return this.config.drillDown?.enabled !== false && !!node.children?.length;
+}
+
+getIndicatorLabel(node) {
+    return this.canDrillDown(node) ?
+        `${node.data.name} indicator - Open ${node.children.length} sub-items` :
+        `${node.data.name} indicator`;
+}
+
 /**
  * Event handlers
  */
@@ -513,7 +871,7 @@ handleElementClick(node) {
 }
 
 handleElementHover(node, isEnter) {
-    if (this.parent.state.isTransitioning) return;
+    if (this.parent.state.isTransitioning()) return;
 
     // Update hover tracking
     this.hoveredElement = isEnter ? node : null;
@@ -531,12 +889,7 @@ handleElementHover(node, isEnter) {
     }
 
     // Handle label hover
-    const label = this.labelElements.get(node.data.id);
-    if (label) {
-        label.transition()
-            .duration(200)
-            .style('transform', `scale(${isEnter ? 1.1 : 1})`);
-    }
+    this.applyLabelTransform(node);
 
     // Emit hover event
     this.parent.emitEvent('outer:hover', {
@@ -665,9 +1018,10 @@ createIndicator(indicator) {
 
     // Add ARIA attributes
     indicator
+        .classed('has-children', d => this.canDrillDown(d))
         .attr('role', 'button')
-        .attr('aria-label', d => `${d.data.name} indicator`)
-        .attr('tabindex', 0);
+        .attr('aria-label', d => this.getIndicatorLabel(d))
+        .attr('tabindex', -1);
 }
 
 /**
@@ -678,31 +1032,24 @@ setupIndicatorInteractions(indicator) {
     indicator
         .on('click', (event, d) => {
             event.stopPropagation();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         })
         .on('mouseover', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, true);
             }
         })
         .on('mouseout', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, false);
             }
         })
-        .on('keydown', (event, d) => {
-            if (event.key === 'Enter' || event.key === ' ') {
-                event.preventDefault();
-                this.handleElementClick(d);
-            }
-            this.handleKeyboardNavigation(event, d);
-        })
         .on('touchstart', event => event.preventDefault())
         .on('touchend', (event, d) => {
             event.preventDefault();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         });
@@ -716,26 +1063,19 @@ setupLabelInteractions(label) {
     label
         .on('click', (event, d) => {
             event.stopPropagation();
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementClick(d);
             }
         })
         .on('mouseover', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, true);
             }
         })
         .on('mouseout', (event, d) => {
-            if (!this.parent.state.isTransitioning) {
+            if (!this.parent.state.isTransitioning()) {
                 this.handleElementHover(d, false);
             }
-        })
-        .on('keydown', (event, d) => {
-            if (event.key === 'Enter' || event.key === ' ') {
-                event.preventDefault();
-                this.handleElementClick(d);
-            }
-            this.handleKeyboardNavigation(event, d);
         });
 }
 
@@ -745,28 +1085,21 @@ setupLabelInteractions(label) {
  */ 
 async updateLabels(nodes) {
     // Update data binding
+    const [tag, className] = this.labelSelector.split('.');
     this.labels = this.parent.viz.zoomContainer
         .select('g.outer-elements')
-        .selectAll('foreignObject.outer-text-container')
+        .selectAll(this.labelSelector)
         .data(nodes, d => d.data.id);
 
     // Handle enter
     const enterLabels = this.labels.enter()
-        .append('foreignObject')
-        .attr('class', 'outer-text-container');
+        .append(tag)
+        .attr('class', className);
 
     // Create labels for new elements
     enterLabels.each((d, i, nodes) => {
         const label = d3.select(nodes[i]);
-        const labelData = this.calculateLabelLayout(d);
-        
-        label
-            .attr('width', labelData.width)
-            .attr('height', labelData.height)
-            .attr('x', labelData.x)
-            .attr('y', labelData.y)
-            .html(() => this.createLabelContent(d, labelData));
-
+        this.renderLabel(label, d);
         this.labelElements.set(d.data.id, label);
     });
 
@@ -776,23 +1109,19 @@ async updateLabels(nodes) {
         .duration(this.config.animation.duration / 2)
         .style('opacity', 0)
         .remove()
-        .each(d => this.labelElements.delete(d.data.id));
+        .each(d => {
+            this.labelElements.delete(d.data.id);
+            this.labelLayouts.delete(d.data.id);
+        });
 
     // Merge and update
     this.labels = enterLabels.merge(this.labels);
 
     // Update existing labels
     this.labels.each((d, i, nodes) => {
-        const label = d3.select(nodes[i]);
-        const labelData = this.calculateLabelLayout(d);
-
-        label.transition()
-            .duration(this.config.animation.duration)
-            .attr('width', labelData.width)
-            .attr('height', labelData.height)
-            .attr('x', labelData.x)
-            .attr('y', labelData.y);
+        this.renderLabel(d3.select(nodes[i]), d);
     });
+    this.layoutLabels();
 
     // Setup interactions for new labels
     enterLabels.each((d, i, nodes) => {
@@ -824,6 +1153,8 @@ destroy() {
             this.pulseAnimations.clear();
         }
 
+        this.parent.container.removeEventListener('zoom:update', this.handleZoomUpdate);
+
         // Remove elements
         if (this.indicators) {
             this.indicators.remove();
@@ -831,10 +1162,15 @@ destroy() {
         if (this.labels) {
             this.labels.remove();
         }
+        if (this.leaders) {
+            this.leaders.remove();
+        }
 
         // Clear element tracking
         this.indicatorElements.clear();
         this.labelElements.clear();
+        this.labelLayouts.clear();
+        this.labelPlacements.clear();
 
         // Clear state
         this.isUpdating = false;
@@ -851,6 +1187,7 @@ destroy() {
         // Ensure references are cleared
         this.indicators = null;
         this.labels = null;
+        this.leaders = null;
     }
 }
 
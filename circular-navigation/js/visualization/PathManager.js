@@ -95,14 +95,22 @@ export class PathManager {
      * @private
      */
     calculateEndPoint(node) {
-        const angle = node.x - Math.PI / 2;
-        const radius = node.y;
+        const angle = this.parent.viz.getNodeAngle(node);
+        const radius = this.parent.viz.getNodeRadius(node);
         return [
             radius * Math.cos(angle),
             radius * Math.sin(angle)
         ];
     }
 
+    /**
+     * Redraws paths for the current radius
+     */
+    updatePathGeometry() {
+        if (!this.links) return;
+        this.links.attr('d', d => this.generateLinkPath(d));
+    }
+
     /**
      * Gets initial path opacity
      * @private
@@ -122,27 +130,27 @@ export class PathManager {
         try {
             this.isUpdating = true;
 
+            // end() settles on interruption too, so a newer selection
+            // can't leave this waiting
             const transitions = this.links.nodes().map((node, i) => {
-                return new Promise(resolve => {
-                    const path = d3.select(node);
-                    const pathData = this.links.data()[i];
-
-                    const transition = path
-                        .transition()
-                        .duration(this.config.animation.duration)
-                        .style('stroke', () => this.getPathColor(pathData, selectedNode))
-                        .style('stroke-width', () => this.getPathWidth(pathData, selectedNode))
-                        .style('opacity', () => this.getPathOpacity(pathData, selectedNode))
-                        .style('stroke-dasharray', () => 
-                            this.isSiblingPath(pathData, selectedNode) ? '5,5' : null
-                        );
-
-                    // Track transition
-                    const transitionId = `path-${this.getLinkId(pathData)}`;
-                    this.parent.viz.trackTransition(transition, transitionId);
-
-                    transition.on('end', resolve);
-                });
+                const path = d3.select(node);
+                const pathData = this.links.data()[i];
+
+                const transition = path
+                    .transition()
+                    .duration(this.config.animation.duration)
+                    .style('stroke', () => this.getPathColor(pathData, selectedNode))
+                    .style('stroke-width', () => this.getPathWidth(pathData, selectedNode))
+                    .style('opacity', () => this.getPathOpacity(pathData, selectedNode))
+                    .style('stroke-dasharray', () => 
+                        this.isSiblingPath(pathData, selectedNode) ? '5,5' : null
+                    );
+
+                // Track transition
+                const transitionId = `path-${this.getLinkId(pathData)}`;
+                this.parent.viz.trackTransition(transition, transitionId);
+
+                return transition.end().catch(() => {});
             });
 
             await Promise.all(transitions);
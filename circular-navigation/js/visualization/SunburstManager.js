@@ -0,0 +1,445 @@
+/**
+ * Sunburst Manager
+ * Renders each depth as a ring of arc segments
+ */
+import * as d3 from '../lib/d3.min.js';
+
+export class SunburstManager {
+    constructor(parent) {
+        this.parent = parent;
+        this.config = parent.config;
+        this.group = null;
+        this.segments = null;
+        this.segmentElements = new Map();
+        this.isUpdating = false;
+
+        this.arc = d3.arc()
+            .startAngle(d => d.x0)
+            .endAngle(d => d.x1)
+            .innerRadius(d => d.r0)
+            .outerRadius(d => d.r1);
+    }
+
+    /**
+     * Gets sunburst options
+     * @private
+     */
+    get options() {
+        return {
+            centerRatio: 0.3,
+            padAngle: 0.004,
+            cornerRadius: 2,
+            minLabelAngle: 0.08,
+            maxDepth: 2,
+            ...this.config.sunburst
+        };
+    }
+
+    /**
+     * Creates the sunburst
+     */
+    async create() {
+        const data = this.parent.state.getData();
+        if (!data) return;
+
+        try {
+            this.parent.container.classList.add('creating-sunburst');
+
+            this.group = this.parent.viz.zoomContainer
+                .append('g')
+                .attr('class', 'sunburst');
+
+            this.render(data);
+            this.setupInteractions(this.segments);
+
+            const selectedNode = this.parent.state.getSelectedNode();
+            if (selectedNode) {
+                await this.updateSelection(selectedNode);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Sunburst creation error:', error);
+            this.parent.emitEvent('sunburst:error', { error });
+            throw error;
+        } finally {
+            this.parent.container.classList.remove('creating-sunburst');
+        }
+    }
+
+    /**
+     * Computes arc geometry on the hierarchy nodes
+     * Angles come from the sectors allocated by processHierarchicalData.
+     * @private
+     */
+    layout(data) {
+        const { centerRatio, maxDepth } = this.options;
+        const dimensions = this.parent.display.lastDimensions ||
+            this.parent.display.calculateDimensions();
+        const radius = dimensions.radius;
+        const centerRadius = radius * centerRatio;
+        const ringWidth = (radius - centerRadius) / maxDepth;
+        const { rotation } = this.parent.viz;
+
+        const nodes = data.descendants().filter(d => d.depth <= maxDepth && d.sector);
+        nodes.forEach(node => {
+            node.x0 = node.sector.start + rotation;
+            node.x1 = node.sector.end + rotation;
+            node.r0 = node.depth === 0 ? 0 : centerRadius + (node.depth - 1) * ringWidth;
+            node.r1 = node.depth === 0 ? centerRadius : node.r0 + ringWidth;
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Joins nodes to segment groups
+     * @private
+     */
+    render(data) {
+        const nodes = this.layout(data);
+        const duration = this.config.animation.duration;
+        const { padAngle, cornerRadius } = this.options;
+
+        this.arc.padAngle(padAngle).cornerRadius(cornerRadius);
+
+        const segments = this.group
+            .selectAll('g.segment')
+            .data(nodes, d => d.data.id);
+
+        const enterSegments = segments.enter()
+            .append('g')
+            .attr('class', d => `segment depth-${d.depth}-segment`)
+            .each((d, i, elements) => {
+                const segment = d3.select(elements[i]);
+                this.createSegmentContent(segment, d);
+                this.segmentElements.set(d.data.id, segment);
+            });
+
+        segments.exit()
+            .each(d => this.segmentElements.delete(d.data.id))
+            .transition()
+            .duration(duration / 2)
+            .style('opacity', 0)
+            .remove();
+
+        this.segments = enterSegments.merge(segments);
+
+        this.segments
+            .classed('has-children', d => d.depth > 0 && this.parent.outer.canDrillDown(d))
+            .attr('role', 'button')
+            .attr('tabindex', -1)
+            .attr('aria-label', d => this.getSegmentLabel(d));
+
+        // Arcs sweep open from their start angle on first render
+        this.segments.select('path.segment-arc')
+            .transition()
+            .duration(duration)
+            .attrTween('d', (d, i, elements) => {
+                const previous = elements[i].__arc ||
+                    { x0: d.x0, x1: d.x0, r0: d.r0, r1: d.r1 };
+                const interpolate = d3.interpolate(previous, {
+                    x0: d.x0, x1: d.x1, r0: d.r0, r1: d.r1
+                });
+                elements[i].__arc = interpolate(1);
+                return t => this.arc(interpolate(t));
+            });
+
+        this.updateLabels();
+    }
+
+    /**
+     * Creates arc and label for a segment
+     * @private
+     */
+    createSegmentContent(segment, d) {
+        segment.append('path')
+            .attr('class', 'segment-arc')
+            .style('fill', this.getSegmentColor(d, null));
+
+        segment.append('text')
+            .attr('class', 'segment-label')
+            .attr('text-anchor', 'middle')
+            .attr('dominant-baseline', 'central')
+            .attr('aria-hidden', 'true');
+
+        // Back up affordance when the wheel is re-rooted
+        if (d.depth === 0 && this.parent.state.canGoUp()) {
+            segment.classed('can-go-up', true)
+                .append('text')
+                .attr('class', 'segment-back')
+                .attr('text-anchor', 'middle')
+                .attr('aria-hidden', 'true')
+                .text('↑');
+        }
+    }
+
+    /**
+     * Re-lays out arcs and labels without a transition
+     */
+    updateGeometry() {
+        if (!this.segments) return;
+
+        this.layout(this.parent.state.getData());
+        this.segments.select('path.segment-arc')
+            .interrupt()
+            .attr('d', (d, i, elements) => {
+                elements[i].__arc = { x0: d.x0, x1: d.x1, r0: d.r0, r1: d.r1 };
+                return this.arc(d);
+            });
+        this.updateLabels();
+    }
+
+    /**
+     * Positions labels at arc centroids and truncates them to fit
+     */
+    updateLabels() {
+        if (!this.segments) return;
+
+        const dimensions = this.parent.display.lastDimensions;
+        const { minLabelAngle } = this.options;
+        const level = this.parent.zoom.getDetailLevel();
+
+        this.segments.each((d, i, elements) => {
+            const segment = d3.select(elements[i]);
+            const fontSize = d.depth === 0 ? dimensions.text.central :
+                d.depth === 1 ? dimensions.text.primary : dimensions.text.secondary;
+            const [x, y] = d.depth === 0 ? [0, 0] : this.arc.centroid(d);
+
+            // Chord at the middle radius bounds the horizontal label
+            const midRadius = (d.r0 + d.r1) / 2;
+            const available = d.depth === 0 ?
+                d.r1 * 1.6 :
+                Math.min(2 * midRadius * Math.sin(Math.min(d.x1 - d.x0, Math.PI) / 2), d.r1 - d.r0 + 40);
+            const isHidden = (d.depth > 0 && d.x1 - d.x0 < minLabelAngle) ||
+                (d.depth === 2 && level === 'low');
+
+            segment.select('text.segment-label')
+                .attr('x', x)
+                .attr('y', y)
+                .style('font-size', `${fontSize}px`)
+                .style('display', isHidden ? 'none' : null)
+                .text(this.truncate(this.parent.zoom.getLabelText(d.data.name), available, fontSize));
+
+            segment.select('text.segment-back')
+                .attr('y', -fontSize * 1.2)
+                .style('font-size', `${fontSize}px`);
+        });
+    }
+
+    /**
+     * Truncates text with an ellipsis to an approximate width
+     * @private
+     */
+    truncate(text, width, fontSize) {
+        const maxChars = Math.floor(width / (fontSize * 0.55));
+        if (text.length <= maxChars) return text;
+        return maxChars > 1 ? `${text.slice(0, maxChars - 1)}…` : '';
+    }
+
+    /**
+     * Sets up segment interactions
+     * @private
+     */
+    setupInteractions(segments) {
+        segments
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                if (!this.parent.state.isTransitioning()) {
+                    this.handleSegmentClick(d);
+                }
+            })
+            .on('mouseover', (event, d) => {
+                if (!this.parent.state.isTransitioning()) {
+                    this.handleSegmentHover(d, true);
+                }
+            })
+            .on('mouseout', (event, d) => {
+                if (!this.parent.state.isTransitioning()) {
+                    this.handleSegmentHover(d, false);
+                }
+            });
+    }
+
+    /**
+     * Gets the accessible label for a segment
+     * @private
+     */
+    getSegmentLabel(node) {
+        if (node.depth === 0 && this.parent.state.canGoUp()) {
+            const parentNode = this.parent.state.getViewRootParent();
+            return `${node.data.name} - Back to ${parentNode.data.name}`;
+        }
+        if (node.depth === 2) {
+            return this.parent.outer.getIndicatorLabel(node);
+        }
+        return node.data.name;
+    }
+
+    /**
+     * Updates segment states based on selection
+     * @param {Object} selectedNode - Currently selected node
+     */
+    async updateSelection(selectedNode) {
+        if (!this.segments) return;
+
+        this.segments
+            .classed('active', d => this.isActiveSegment(d, selectedNode))
+            .classed('faded', d => this.isFadedSegment(d, selectedNode))
+            .classed('selected', d => d === selectedNode);
+
+        const transition = this.segments.select('path.segment-arc')
+            .transition()
+            .duration(this.config.animation.duration)
+            .style('fill', d => this.getSegmentColor(d, selectedNode))
+            .style('opacity', d => this.isFadedSegment(d, selectedNode) ? 0.4 : 1);
+
+        this.parent.viz.trackTransition(transition, 'sunburst-selection');
+        await transition.end().catch(() => {});
+    }
+
+    /**
+     * State calculation methods
+     * @private
+     */
+    isActiveSegment(node, selectedNode) {
+        if (!selectedNode) return node.depth === 0;
+        return node === selectedNode || selectedNode.ancestors().includes(node);
+    }
+
+    isFadedSegment(node, selectedNode) {
+        if (!selectedNode || selectedNode.depth === 0 || node.depth === 0) return false;
+        const branch = selectedNode.ancestors().find(n => n.depth === 1);
+        return !node.ancestors().includes(branch);
+    }
+
+    getSegmentColor(node, selectedNode) {
+        if (node.depth === 0) return this.config.colors.node.central;
+        if (this.isActiveSegment(node, selectedNode)) return this.config.colors.node.active;
+        return this.config.colors.node.default;
+    }
+
+    /**
+     * Gets the centroid of a rendered segment
+     * @param {Object} node - Hierarchy node
+     * @returns {Array} [x, y] coordinates
+     */
+    getNodePosition(node) {
+        if (!node.depth || node.r1 === undefined) return [0, 0];
+        return this.arc.centroid(node);
+    }
+
+    /**
+     * Gets the bounding box of a rendered segment
+     * @param {Object} node - Hierarchy node
+     * @returns {Object} Box { left, right, top, bottom }
+     */
+    getNodeBounds(node) {
+        if (node.r1 === undefined) {
+            return { left: 0, right: 0, top: 0, bottom: 0 };
+        }
+        if (!node.depth || node.x1 - node.x0 >= 2 * Math.PI) {
+            return { left: -node.r1, right: node.r1, top: -node.r1, bottom: node.r1 };
+        }
+
+        // Arc corners plus any axis extremes the arc passes through
+        const angles = [node.x0, node.x1];
+        for (let k = Math.ceil(node.x0 / (Math.PI / 2)); k * Math.PI / 2 < node.x1; k++) {
+            angles.push(k * Math.PI / 2);
+        }
+        const points = angles.flatMap(angle => [node.r0, node.r1].map(r => [
+            r * Math.sin(angle),
+            -r * Math.cos(angle)
+        ]));
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+
+        return {
+            left: Math.min(...xs),
+            right: Math.max(...xs),
+            top: Math.min(...ys),
+            bottom: Math.max(...ys)
+        };
+    }
+
+    /**
+     * Marks segments as highlighted
+     * @param {Set|null} ids - Highlighted node IDs, or null to clear
+     */
+    setHighlighted(ids) {
+        if (!this.segments) return;
+        this.segments.classed('highlighted', d => !!ids?.has(String(d.data.id)));
+    }
+
+    /**
+     * Event handlers
+     * @private
+     */
+    handleSegmentClick(node) {
+        this.parent.emitEvent('node:click', {
+            node,
+            type: node.depth === 0 ? 'central' : node.depth === 1 ? 'primary' : 'outer',
+            timestamp: Date.now()
+        });
+    }
+
+    handleSegmentHover(node, isEnter) {
+        const segment = this.segmentElements.get(node.data.id);
+        if (segment) {
+            segment.classed('hover', isEnter);
+        }
+
+        this.parent.emitEvent('sunburst:hover', {
+            node,
+            isEnter,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Updates the sunburst with new data or dimensions
+     * @param {Object} [data] - New hierarchy
+     */
+    async update(data) {
+        if (!this.group || this.isUpdating) return;
+
+        try {
+            this.isUpdating = true;
+
+            const previous = new Set(this.segmentElements.keys());
+            this.render(data || this.parent.state.getData());
+
+            // Bind interactions on segments that just entered
+            this.setupInteractions(
+                this.segments.filter(d => !previous.has(d.data.id))
+            );
+
+            const selectedNode = this.parent.state.getSelectedNode();
+            if (selectedNode) {
+                await this.updateSelection(selectedNode);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Sunburst update error:', error);
+            this.parent.emitEvent('sunburst:error', { error });
+            throw error;
+        } finally {
+            this.isUpdating = false;
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.group) {
+            this.group.interrupt().remove();
+        }
+
+        this.group = null;
+        this.segments = null;
+        this.segmentElements.clear();
+        this.isUpdating = false;
+    }
+}
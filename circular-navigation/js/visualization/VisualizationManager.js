@@ -3,6 +3,10 @@
  * Handles D3-based visualization with enhanced performance and transitions
  */
 import * as d3 from '../lib/d3.min.js';
+import { processHierarchicalData } from '../utils/calculations.js';
+
+// Deepest level drawn on the wheel; outer items sit on its edge
+const RENDERED_DEPTH = 2;
 
 export class VisualizationManager {
     constructor(parent) {
@@ -20,6 +24,10 @@ export class VisualizationManager {
         this.renderQueue = new Set();
         this.isUpdating = false;
         this.currentRaf = null;
+        this.useCanvas = false;
+
+        // Offset added to every layout angle, in radians
+        this.rotation = 0;
 
         // Element pools for reuse
         this.elementPools = {
@@ -29,24 +37,88 @@ export class VisualizationManager {
         };
     }
 
+    /**
+     * Whether the wheel renders as sunburst arcs
+     */
+    get isSunburst() {
+        return this.config.layout?.mode === 'sunburst';
+    }
+
+    /**
+     * Whether the wheel is drawn by the canvas renderer
+     */
+    get isCanvas() {
+        return this.useCanvas;
+    }
+
+    /**
+     * Picks SVG or canvas from config, or by node count in 'auto'
+     * @private
+     */
+    chooseRenderer() {
+        const { type = 'svg', autoThreshold = 400 } = this.config.renderer || {};
+
+        if (type === 'auto') {
+            const data = this.parent.state.getData();
+            const count = data ? data.descendants().filter(d => d.depth <= 2).length : 0;
+            this.useCanvas = count > autoThreshold;
+        } else {
+            this.useCanvas = type === 'canvas';
+        }
+
+        this.container.classList.toggle('renderer-canvas', this.useCanvas);
+    }
+
+    /**
+     * Gets the managers that render the current layout mode
+     * @private
+     */
+    getRenderers() {
+        if (this.useCanvas) return [this.parent.canvas];
+
+        return this.isSunburst ?
+            [this.parent.sunburst] :
+            [this.parent.nodes, this.parent.paths, this.parent.outer];
+    }
+
+    /**
+     * Gets the element holding focusable items for keyboard navigation
+     * @private
+     */
+    getInteractiveRoot() {
+        return this.useCanvas ?
+            d3.select(this.parent.canvas.a11yRoot) :
+            this.zoomContainer;
+    }
+
+    /**
+     * Gets the layer faded during re-rooting
+     * @private
+     */
+    getVisibleLayer() {
+        return this.useCanvas ?
+            d3.select(this.parent.canvas.canvas) :
+            this.zoomContainer;
+    }
+
     /**
      * Creates initial visualization
      */
     async create() {
         try {
             this.createSVG();
+            this.chooseRenderer();
             
             // Sequential rendering with RAF
             await this.queueRender(async () => {
-                await Promise.all([
-                    this.parent.nodes.create(),
-                    this.parent.paths.create(),
-                    this.parent.outer.create()
-                ]);
+                await Promise.all(this.getRenderers().map(renderer => renderer.create()));
             });
 
             // Setup zoom after render
             this.parent.zoom.init(this.svg, this.zoomContainer);
+
+            // Single tab stop with arrow key navigation
+            this.parent.keyboard.init(this.getInteractiveRoot());
             
             return true;
         } catch (error) {
@@ -80,6 +152,8 @@ export class VisualizationManager {
 
         console.log('Selected SVG:', this.svg.node());
          
+        this.container.classList.toggle('layout-sunburst', this.isSunburst);
+
         // Add zoom container
         this.zoomContainer = this.svg
             .append('g')
@@ -117,14 +191,20 @@ export class VisualizationManager {
 
             // Batch updates using RAF
             await this.queueRender(async () => {
-                const updates = [
-                    this.parent.nodes.update(data),
-                    this.parent.paths.update(data),
-                    this.parent.outer.update(data)
-                ];
-                await Promise.all(updates);
+                await Promise.all(this.getRenderers().map(renderer => renderer.update(data)));
             });
 
+            // Radii and font sizes follow the container
+            if (dimensions && !this.isSunburst && !this.useCanvas) {
+                this.parent.nodes.updateNodeSizes(dimensions);
+                this.parent.nodes.updateNodePositions();
+                this.parent.paths.updatePathGeometry();
+                this.parent.outer.updateIndicatorPositions();
+                this.parent.outer.refreshLabels();
+            }
+
+            this.parent.keyboard.refresh();
+
             return true;
         } catch (error) {
             this.handleRenderError(error);
@@ -134,6 +214,279 @@ export class VisualizationManager {
         }
     }
 
+    /**
+     * Applies selection state to all rendered elements
+     * @param {Object} selectedNode - Newly selected node
+     * @param {Object} previousNode - Previously selected node
+     */
+    async updateSelection(selectedNode, previousNode) {
+        if (!this.svg) return;
+
+        if (this.useCanvas) {
+            await this.parent.canvas.updateSelection(selectedNode);
+        } else if (this.isSunburst) {
+            await this.parent.sunburst.updateSelection(selectedNode);
+        } else {
+            await Promise.all([
+                this.parent.nodes.updateNodeStates(selectedNode),
+                this.parent.paths.updatePathStates(selectedNode),
+                this.parent.outer.updateForSelection(selectedNode)
+            ]);
+        }
+
+        this.parent.emitEvent('selection:rendered', {
+            node: selectedNode,
+            previousNode
+        });
+
+        await this.parent.zoom.focusNode(selectedNode);
+    }
+
+    /**
+     * Highlights nodes across all rings
+     * @param {Iterable|null} ids - Node IDs to highlight, or null to clear
+     */
+    highlightNodes(ids) {
+        const idSet = ids ? new Set(Array.from(ids, String)) : null;
+
+        this.parent.nodes.setHighlighted(idSet);
+        this.parent.outer.setHighlighted(idSet);
+        this.parent.sunburst.setHighlighted(idSet);
+        this.parent.canvas.setHighlighted(idSet);
+        this.container.classList.toggle('has-highlights', !!idSet?.size);
+    }
+
+    /**
+     * Animates the wheel onto a new root
+     * @param {string} direction - 'down' when drilling in, 'up' when going back
+     */
+    async transitionRoot(direction = 'down') {
+        if (!this.zoomContainer) return;
+
+        const duration = this.config.animation.duration / 2;
+        this.container.classList.add('is-rerooting', `reroot-${direction}`);
+
+        try {
+            this.cancelPendingUpdates();
+
+            // Fade the current ring out
+            await this.getVisibleLayer()
+                .transition()
+                .duration(duration)
+                .style('opacity', 0)
+                .end()
+                .catch(() => {});
+
+            // Reset any zoom so the new root is centered
+            if (this.parent.zoom.zoom) {
+                this.svg.call(this.parent.zoom.zoom.transform, d3.zoomIdentity);
+            }
+
+            // New nodes start at the center and expand outwards
+            await this.rebuild();
+
+            await this.getVisibleLayer()
+                .style('opacity', 0)
+                .transition()
+                .duration(duration)
+                .style('opacity', 1)
+                .end()
+                .catch(() => {});
+        } catch (error) {
+            this.getVisibleLayer().style('opacity', 1);
+            this.handleRenderError(error);
+        } finally {
+            this.container.classList.remove('is-rerooting', `reroot-${direction}`);
+        }
+    }
+
+    /**
+     * Removes and recreates all rendered elements for the current data
+     * @returns {Promise<void>}
+     */
+    async rebuild() {
+        const hadFocus = !!this.getInteractiveRoot().node()?.contains(document.activeElement);
+
+        this.parent.nodes.destroy();
+        this.parent.paths.destroy();
+        this.parent.outer.destroy();
+        this.parent.sunburst.destroy();
+        this.parent.canvas.destroy();
+        this.zoomContainer.selectAll('*').remove();
+        this.container.classList.toggle('layout-sunburst', this.isSunburst);
+
+        // Node count may have crossed the canvas threshold
+        this.chooseRenderer();
+
+        await this.queueRender(async () => {
+            await Promise.all(this.getRenderers().map(renderer => renderer.create()));
+        });
+
+        // Old focus target is gone; keep keyboard users on the wheel
+        this.parent.keyboard.destroy();
+        this.parent.keyboard.init(this.getInteractiveRoot());
+        this.parent.keyboard.focusedId = null;
+        this.parent.keyboard.refresh();
+        if (hadFocus) {
+            this.parent.keyboard.focusNode(this.parent.state.getData());
+        }
+    }
+
+    /**
+     * Switches between the radial and sunburst layouts
+     * @param {string} mode - 'radial' or 'sunburst'
+     * @returns {Promise<void>}
+     */
+    async setLayoutMode(mode) {
+        if (!this.zoomContainer || this.config.layout?.mode === mode) return;
+
+        this.config.layout = { ...this.config.layout, mode };
+        await this.rebuild();
+        await this.updateSelection(this.parent.state.getSelectedNode(), null);
+        this.parent.emitEvent('layout:change', { mode });
+    }
+
+    /**
+     * Gets the focusable element rendered for a node
+     * @param {Object} node - Hierarchy node
+     * @returns {Element|null} Element
+     */
+    getNodeElement(node) {
+        const id = node.data.id;
+        let selection;
+
+        if (this.useCanvas) {
+            selection = this.parent.canvas.getProxy(node);
+        } else if (this.isSunburst) {
+            selection = this.parent.sunburst.segmentElements.get(id);
+        } else {
+            selection = node.depth < 2 ?
+                this.parent.nodes.nodeElements.get(id) :
+                this.parent.outer.indicatorElements.get(id);
+        }
+        return selection?.node() || null;
+    }
+
+    /**
+     * Gets the rendered distance of a node from the center
+     * Rings follow depth rather than the tree layout's y, which is relative
+     * to the deepest level of the whole hierarchy: primaries sit at half the
+     * wheel radius and outer items at the edge, however deep the data goes.
+     * @param {Object} node - Hierarchy node
+     * @returns {number} Radius in pixels
+     */
+    getNodeRadius(node) {
+        const dimensions = this.parent.display.lastDimensions;
+        return node.depth / RENDERED_DEPTH * (dimensions?.radius || 1);
+    }
+
+    /**
+     * Gets the rendered angle of a node
+     * Layout angles start at the top and run clockwise; this converts to a
+     * cartesian angle and applies the current wheel rotation.
+     * @param {Object} node - Hierarchy node
+     * @returns {number} Angle in radians
+     */
+    getNodeAngle(node) {
+        return node.x - Math.PI / 2 + this.rotation;
+    }
+
+    /**
+     * Gets the rendered position of a node
+     * @param {Object} node - Hierarchy node
+     * @returns {Array} [x, y] coordinates
+     */
+    getNodePosition(node) {
+        return this.isSunburst ?
+            this.parent.sunburst.getNodePosition(node) :
+            this.parent.nodes.getNodePosition(node);
+    }
+
+    /**
+     * Gets the rendered bounding box of a node
+     * @param {Object} node - Hierarchy node
+     * @returns {Object} Box { left, right, top, bottom }
+     */
+    getNodeBounds(node) {
+        return this.isSunburst ?
+            this.parent.sunburst.getNodeBounds(node) :
+            this.parent.nodes.getNodeBounds(node);
+    }
+
+    /**
+     * Rotates the wheel so layout angles are offset by an angle
+     * Rotation moves positions rather than rotating the group, so labels
+     * stay upright and collision layout stays valid.
+     * @param {number} rotation - Target rotation in radians
+     * @param {number} [duration] - Transition duration, 0 to jump
+     * @returns {Promise<void>} Resolves when the rotation completes
+     */
+    async rotateTo(rotation, duration = this.config.animation.duration) {
+        if (!this.svg) return;
+
+        // Take the short way round
+        const from = this.rotation;
+        const delta = Math.atan2(Math.sin(rotation - from), Math.cos(rotation - from));
+        if (Math.abs(delta) < 1e-6) return;
+
+        const interpolate = d3.interpolateNumber(from, from + delta);
+        this.container.classList.add('is-rotating');
+
+        try {
+            if (duration > 0) {
+                const transition = this.svg
+                    .transition('rotation')
+                    .duration(duration)
+                    .tween('rotation', () => t => {
+                        this.rotation = interpolate(t);
+                        this.applyRotation(false);
+                    });
+
+                this.trackTransition(transition, 'rotation');
+                await transition.end().catch(() => {});
+            }
+
+            this.rotation = interpolate(1);
+            this.applyRotation(true);
+        } finally {
+            this.container.classList.remove('is-rotating');
+        }
+
+        this.parent.emitEvent('view:rotate', { rotation: this.rotation });
+    }
+
+    /**
+     * Moves rendered elements to the current rotation
+     * @private
+     * @param {boolean} isFinal - Whether to also re-run label layout
+     */
+    applyRotation(isFinal) {
+        if (this.useCanvas) {
+            if (this.isSunburst) this.parent.sunburst.layout(this.parent.state.getData());
+            if (isFinal) {
+                this.parent.canvas.update();
+            } else {
+                this.parent.canvas.scheduleDraw();
+            }
+        } else if (this.isSunburst) {
+            this.parent.sunburst.updateGeometry();
+        } else {
+            this.parent.nodes.updateNodePositions(0);
+            this.parent.paths.updatePathGeometry();
+            this.parent.outer.updateIndicatorPositions();
+            if (isFinal) this.parent.outer.refreshLabels();
+        }
+    }
+
+    /**
+     * Converts raw data into a hierarchy, passing hierarchies through
+     * @private
+     */
+    processData(data) {
+        if (typeof data.descendants === 'function') return data;
+        return processHierarchicalData(data, this.config.layout?.allocation);
+    }
+
     /**
      * Queues render operations
      * @private
@@ -178,7 +531,8 @@ export class VisualizationManager {
      */
     trackTransition(transition, id) {
         this.activeTransitions.set(id, transition);
-        transition.on('end interrupt', () => {
+        // Named so listeners added by callers don't replace this one
+        transition.on('end.track interrupt.track', () => {
             this.activeTransitions.delete(id);
         });
     }
@@ -230,11 +584,14 @@ export class VisualizationManager {
     destroy() {
         // Cancel pending operations
         this.cancelPendingUpdates();
+        this.parent.canvas.destroy();
 
         // Remove SVG
         if (this.svg) {
             this.svg.remove();
         }
+        this.container.classList.remove('layout-sunburst', 'renderer-canvas', 'is-rotating');
+        this.rotation = 0;
 
         // Clear element pools
         Object.values(this.elementPools).forEach(pool => pool.clear());
@@ -12,6 +12,7 @@ export class ZoomManager {
         this.currentScale = 1;
         this.currentTranslate = [0, 0];
         this.isZooming = false;
+        this.detailLevel = null;
 
         // D3 zoom behavior
         this.zoom = null;
@@ -40,6 +41,7 @@ export class ZoomManager {
 
         // Store container reference
         this.container = container;
+        this.updateDetailLevel();
 
         // Listen for custom zoom events
         this.parent.container.addEventListener('zoom:change', 
@@ -83,6 +85,72 @@ export class ZoomManager {
 
         const zoomEvent = new CustomEvent('zoom:update', { detail });
         this.parent.container.dispatchEvent(zoomEvent);
+
+        this.updateDetailLevel();
+    }
+
+    /**
+     * Gets the label detail level for a scale
+     * @param {number} [scale] - Zoom scale, defaults to the current scale
+     * @returns {string} 'low', 'mid' or 'high'
+     */
+    getDetailLevel(scale = this.currentScale) {
+        const lod = this.config.zoom.lod;
+        if (!lod?.enabled) return 'mid';
+        if (scale < lod.labels) return 'low';
+        if (scale >= lod.details) return 'high';
+        return 'mid';
+    }
+
+    /**
+     * Gets the label text for the current detail level
+     * Names are shortened at mid level and shown in full when zoomed in.
+     * @param {string} name - Full node name
+     * @returns {string} Label text
+     */
+    getLabelText(name) {
+        const text = String(name ?? '');
+        const { lod } = this.config.zoom;
+        if (!lod?.enabled || this.getDetailLevel() === 'high') return text;
+
+        const max = lod.shortLabelLength;
+        if (!max || text.length <= max) return text;
+        return `${text.slice(0, max - 1).trimEnd()}…`;
+    }
+
+    /**
+     * Applies label rules when the scale crosses a detail threshold
+     * @private
+     */
+    updateDetailLevel() {
+        const level = this.getDetailLevel();
+        if (level === this.detailLevel) return;
+
+        const previous = this.detailLevel;
+        this.detailLevel = level;
+
+        const classList = this.parent.container.classList;
+        ['low', 'mid', 'high'].forEach(name => {
+            classList.toggle(`lod-${name}`, name === level);
+        });
+
+        // Nothing to re-render on the initial level
+        if (previous === null) return;
+
+        const { viz } = this.parent;
+        if (viz.isCanvas) {
+            this.parent.canvas.refreshLabels();
+        } else if (viz.isSunburst) {
+            this.parent.sunburst.updateLabels();
+        } else {
+            this.parent.outer.refreshLabels();
+        }
+
+        this.parent.emitEvent('zoom:lod', {
+            level,
+            previous,
+            scale: this.currentScale
+        });
     }
 
     /**
@@ -141,12 +209,40 @@ export class ZoomManager {
             );
     }
 
+    /**
+     * Applies an absolute transform
+     * @param {number} scale - Target scale
+     * @param {Array} translate - Target translation [x, y]
+     * @param {number} [duration] - Transition duration, 0 to jump
+     * @returns {Promise<void>} Resolves when the transform is applied
+     */
+    async setTransform(scale, translate, duration = 0) {
+        if (!this.zoom) return;
+
+        const transform = d3.zoomIdentity
+            .translate(translate[0], translate[1])
+            .scale(scale);
+        const svg = d3.select(this.parent.container).select('svg');
+
+        if (duration > 0) {
+            await svg.transition()
+                .duration(duration)
+                .call(this.zoom.transform, transform)
+                .end()
+                .catch(() => {});
+        } else {
+            svg.call(this.zoom.transform, transform);
+        }
+    }
+
     /**
      * Zooms to fit specific nodes
      * @param {Array} nodes - Array of nodes to fit
      * @param {number} [padding] - Padding around nodes
+     * @param {number} [duration] - Transition duration
+     * @returns {Promise<void>} Resolves when the zoom completes
      */
-    zoomToFit(nodes, padding = 50) {
+    async zoomToFit(nodes, padding = 50, duration = this.config.animation.duration) {
         if (!nodes.length || !this.container) return;
 
         // Calculate bounds
@@ -158,7 +254,7 @@ export class ZoomManager {
         };
 
         nodes.forEach(node => {
-            const box = this.parent.nodes.getNodeBounds(node);
+            const box = this.parent.viz.getNodeBounds(node);
             bounds.left = Math.min(bounds.left, box.left);
             bounds.right = Math.max(bounds.right, box.right);
             bounds.top = Math.min(bounds.top, box.top);
@@ -171,22 +267,57 @@ export class ZoomManager {
         bounds.top -= padding;
         bounds.bottom += padding;
 
-        // Calculate required scale
-        const containerBounds = this.parent.container.getBoundingClientRect();
-        const scaleX = containerBounds.width / (bounds.right - bounds.left);
-        const scaleY = containerBounds.height / (bounds.bottom - bounds.top);
-        const scale = Math.min(
-            scaleX, 
-            scaleY, 
-            this.config.zoom.max
+        // Zoom transforms are in viewBox units, so fit against the viewBox
+        const viewBox = this.parent.viz.svg.node().viewBox.baseVal;
+        const scaleX = viewBox.width / (bounds.right - bounds.left);
+        const scaleY = viewBox.height / (bounds.bottom - bounds.top);
+        const scale = Math.max(
+            Math.min(scaleX, scaleY, this.config.zoom.max),
+            this.config.zoom.min
         );
 
-        // Calculate center point
+        // Center the bounds in the view
         const cx = (bounds.left + bounds.right) / 2;
         const cy = (bounds.top + bounds.bottom) / 2;
+        const translate = [
+            viewBox.x + viewBox.width / 2 - cx * scale,
+            viewBox.y + viewBox.height / 2 - cy * scale
+        ];
 
-        // Zoom to bounds
-        this.zoomToPoint([cx, cy], scale);
+        await this.setTransform(scale, translate, duration);
+    }
+
+    /**
+     * Brings a selected node into focus
+     * Rotates its branch to the configured angle and zooms to fit it with
+     * its children, depending on the focus config. Without a node the
+     * rotation and zoom are reset.
+     * @param {Object|null} node - Selected node
+     * @returns {Promise<void>} Resolves when both transitions complete
+     */
+    async focusNode(node) {
+        const { autoZoom, rotate, angle = 0, padding = 40 } = this.config.focus || {};
+        if (!autoZoom && !rotate) return;
+
+        const viz = this.parent.viz;
+
+        if (!node) {
+            await Promise.all([
+                rotate ? viz.rotateTo(0) : null,
+                autoZoom ? this.setTransform(1, [0, 0], this.config.animation.duration) : null
+            ]);
+            return;
+        }
+
+        // Turn so the node's layout angle lands on the target (degrees clockwise from top)
+        if (rotate && node.depth > 0) {
+            await viz.rotateTo(angle * Math.PI / 180 - node.x);
+        }
+
+        if (autoZoom) {
+            const children = (node.children || []).filter(child => child.depth <= 2);
+            await this.zoomToFit([node, ...children], padding);
+        }
     }
 
     /**
@@ -197,7 +328,7 @@ export class ZoomManager {
         if (!node || !this.container) return;
 
         // Get node position
-        const [x, y] = this.parent.nodes.getNodePosition(node);
+        const [x, y] = this.parent.viz.getNodePosition(node);
 
         // Calculate appropriate scale based on node depth
         const scale = this.calculateNodeZoomScale(node);
@@ -267,8 +398,13 @@ export class ZoomManager {
         this.parent.container.removeEventListener('view:center', 
             this.centerView);
 
+        ['low', 'mid', 'high'].forEach(name => {
+            this.parent.container.classList.remove(`lod-${name}`);
+        });
+
         // Clear references
         this.zoom = null;
         this.container = null;
+        this.detailLevel = null;
     }
 }
\ No newline at end of file